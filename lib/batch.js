@@ -0,0 +1,362 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { finished } = require('stream/promises');
+const { createCsvStream } = require('.');
+const { inputFilesFor, ensureDir, moveFile, relativeDir, clashingInputs, outputPathFor } = require('./files');
+const { createRejectsReport } = require('./rejects');
+const { describeChar } = require('./dialect');
+const { decisionSources } = require('./encoding');
+const { openManifest } = require('./manifest');
+const { captureConsole, replayConsole, mapLimit, createWorkerPool } = require('./pool');
+const { watchInput } = require('./watch');
+const { createRunReport, runStatus } = require('./report');
+const { info, verbose, logLevel } = require('./log');
+
+// 批量处理输入文件并输出统计信息；outputFor 可改变每个文件对应的输出路径，label 为输入文件类型的显示名称。
+// incremental 为 true 时按输出目录中的清单跳过未变化的文件，convert 返回 { outputs } 时记录实际生成的文件；
+// parallel 为 false 时忽略 --concurrency，逐个处理。files 指定要处理的文件，缺省时列出输入目录；
+// --watch 时持续监视输入目录，每批就绪的文件按 files 再调用一次。
+// --dedup 时转换前先预读所有文件，scanOptions 为预读时附加的读取选项，应与转换时 openInput 的 extra 一致
+async function runBatch(options, spec) {
+    const { extension, convert, outputFor, label = 'CSV', incremental = true, parallel = true, scanOptions = {} } = spec;
+    if (options.watch && !spec.files) {
+        return watchInput(options, ready => runBatch(options, { ...spec, files: ready }));
+    }
+
+    const files = spec.files || inputFilesFor(options);
+    // 去掉扩展名后重名的文件保留源扩展名；监视时与输入目录中已有的文件比较，使输出名不随批次变化
+    const clashing = clashingInputs(options.watch ? [...inputFilesFor(options), ...files] : files);
+    const outputPath = outputFor || (file => outputPathFor(file, options.output, extension, options.input, clashing));
+
+    const results = {
+        success: 0,
+        failed: 0,
+        skipped: 0,
+        total: files.length,
+        failedFiles: []
+    };
+    const report = createRunReport(options);
+    const finish = () => {
+        results.status = runStatus(results);
+        if (options.dryRun) return results;
+        results.report = report.write(results);
+        info(`运行报告: ${results.report}`);
+        return results;
+    };
+
+    if (files.length === 0) {
+        info(`未找到${label}文件`);
+        return finish();
+    }
+
+    info(`找到 ${files.length} 个${label}文件`);
+    info('------------------------');
+
+    // --clean 清空输出目录后所有文件都需要重新转换；去重时每个文件的输出取决于其他文件，总是全部转换；
+    // pseudonym 脱敏未指定 --mask-map 时编号只在本次运行内一致，跳过的文件不参与编号，也总是全部转换
+    const pseudonymOnly = options.mask && !options.maskMap && options.mask.rules.some(rule => rule.method === 'pseudonym');
+    const manifest = incremental && !options.dedup && !pseudonymOnly
+        ? openManifest(options.output, options.fingerprint, Boolean(options.mask && options.maskMap))
+        : null;
+    if (incremental && pseudonymOnly) verbose('pseudonym 脱敏未指定 --mask-map，不跳过未变化的文件');
+    const force = options.force || options.clean;
+    verbose(`输入: ${options.input}, 输出: ${options.output}${manifest ? `, 清单: ${manifest.path}` : ''}`);
+
+    if (options.dryRun) {
+        for (const file of files) {
+            const unchanged = manifest && (await manifest.check(file, force)).unchanged;
+            info(`[dry-run] ${file} -> ${outputPath(file)}${unchanged ? ' (未变化，跳过)' : ''}`);
+        }
+        return finish();
+    }
+
+    ensureDir(options.output, options.clean, [options.archive, options.errorDir, ...files].filter(Boolean));
+    if (manifest) {
+        manifest.removeStale().forEach(file => info(`源文件已不存在，删除输出: ${path.basename(file)}`));
+    }
+
+    // 同时处理的文件数；并发或使用工作线程时每个文件的日志在处理完成后整块输出
+    const concurrency = parallel ? options.concurrency || (options.workers ? os.availableParallelism() : 1) : 1;
+    const pool = options.workers ? createWorkerPool(concurrency, { argv: options.argv, logLevel: logLevel() }) : null;
+    const runTask = async (file, target) => {
+        if (pool) {
+            const { result, error, lines } = await pool.run({ file, outputPath: target });
+            return { value: result, error: error ? new Error(error) : null, lines };
+        }
+        if (concurrency > 1) return captureConsole(() => convert(file, target, options));
+        return { value: await convert(file, target, options), error: null, lines: [] };
+    };
+    if (concurrency > 1) {
+        info(`并发处理 ${concurrency} 个文件${pool ? ' (工作线程)' : ''}`);
+    }
+    // 保留第一条且逐个处理时按处理顺序即可确定，否则先预读
+    if (options.dedup && (options.dedup.keep !== 'first' || concurrency > 1)) {
+        await scanDuplicates(files, { ...options, ...scanOptions });
+    }
+
+    // 按 --archive / --error-dir 移走处理过的源文件，保持相对的子目录结构，清单随之更新；返回新路径
+    const moveSource = (file, failed) => {
+        const targetDir = failed ? options.errorDir : options.archive;
+        if (!targetDir) return null;
+        try {
+            const moved = moveFile(file, path.join(targetDir, relativeDir(file, options.input)));
+            if (manifest) manifest.move(file, moved);
+            info(`- 源文件已移至: ${moved}`);
+            return moved;
+        } catch (error) {
+            console.error(`- 无法移动源文件 ${path.basename(file)}: ${error.message}`);
+            return null;
+        }
+    };
+
+    let done = 0;
+    const processFile = async (file, index) => {
+        const progress = `[${index + 1}/${files.length}]`;
+        let sourceInfo = null;
+        if (manifest) {
+            const checked = await manifest.check(file, force);
+            if (checked.unchanged) {
+                info(`未变化，跳过 ${progress}: ${path.basename(file)}`);
+                results.skipped++;
+                done++;
+                report.add(index, file, 'skipped', { outputs: checked.outputs, movedTo: moveSource(file, false) });
+                return;
+            }
+            verbose(`需要转换 ${progress}: ${path.basename(file)} (${checked.reason})`);
+            sourceInfo = checked.info;
+        }
+
+        info(`正在处理 ${progress}: ${path.basename(file)}`);
+        const started = Date.now();
+        const target = outputPath(file);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        let outcome;
+        try {
+            outcome = await runTask(file, target);
+        } catch (error) {
+            outcome = { value: undefined, error, lines: [] };
+        }
+        replayConsole(outcome.lines);
+        done++;
+
+        if (outcome.error) {
+            if (manifest) manifest.forget(file);
+            console.error(`转换失败 ${path.basename(file)}:`, outcome.error.message);
+            results.failed++;
+            results.failedFiles.push(path.basename(file));
+            report.add(index, file, 'failed', {
+                durationMs: Date.now() - started,
+                error: outcome.error.message,
+                movedTo: moveSource(file, true)
+            });
+            return;
+        }
+        const outputs = (outcome.value && outcome.value.outputs) || [target];
+        if (manifest) {
+            manifest.record(file, sourceInfo, outputs)
+                .forEach(output => info(`- 删除上次生成的输出: ${path.basename(output)}`));
+        }
+        results.success++;
+        const durationMs = Date.now() - started;
+        info(`完成 ${done}/${files.length}: ${path.basename(file)} (${(durationMs / 1000).toFixed(2)}s)`);
+        report.add(index, file, 'converted', {
+            result: outcome.value,
+            outputs,
+            durationMs,
+            movedTo: moveSource(file, false)
+        });
+    };
+
+    try {
+        await mapLimit(files, concurrency, processFile);
+    } finally {
+        if (pool) await pool.close();
+    }
+    if (manifest) manifest.save();
+
+    if (options.mask && options.maskMap) {
+        const count = options.mask.saveMapping(options.maskMap);
+        info(`\n脱敏对照表: ${options.maskMap} (${count} 条)`);
+        // 选项指纹包含对照表的内容，写回后更新
+        if (manifest) {
+            options.fingerprint = options.computeFingerprint();
+            manifest.restamp(options.fingerprint);
+        }
+    }
+
+    info('\n转换统计:');
+    info(`总文件数: ${results.total}`);
+    info(`成功: ${results.success}`);
+    if (results.skipped > 0) {
+        info(`未变化而跳过: ${results.skipped}`);
+    }
+    info(`失败: ${results.failed}`);
+    info(`完成率: ${(((results.success + results.skipped) / results.total) * 100).toFixed(2)}%`);
+
+    if (results.failedFiles.length > 0) {
+        info('\n失败的文件:');
+        results.failedFiles.forEach(file => info(`- ${file}`));
+    }
+
+    info(`\n输出目录: ${options.output}`);
+    return finish();
+}
+
+// 去重时预读所有文件，确定每个键保留哪一条记录；无法读取的文件留到转换时报错
+async function scanDuplicates(files, options) {
+    const scanner = options.dedup.scanner();
+    for (const file of files) {
+        try {
+            const { records } = createCsvStream(file, { ...options, mask: undefined, onReject: undefined, dedup: scanner });
+            records.resume();
+            await finished(records);
+        } catch (error) {
+            verbose(`去重预读失败 ${path.basename(file)}: ${error.message}`);
+        }
+    }
+    info(`去重预读完成: ${options.dedup.size()} 个不同的键`);
+    info('------------------------');
+}
+
+// 控制台最多显示的违规明细条数
+const MAX_LOGGED_VIOLATIONS = 10;
+
+// 运行报告中每列列出的违规取值样例数
+const MAX_INVALID_SAMPLES = 5;
+
+// 输出过滤条件、解析错误与列定义校验的统计
+function logRecordStats(stats, options) {
+    if (stats.skipped > 0) {
+        info(`- 无法解析而跳过的记录数: ${stats.skipped}`);
+    }
+    if (stats.repaired > 0) {
+        info(`- 已修复并保留的记录数: ${stats.repaired}`);
+    }
+    if (options.where) {
+        info(`- 被过滤条件排除的记录数: ${stats.filtered}`);
+    }
+    if (options.dedup) {
+        info(`- 重复而删除的记录数: ${stats.duplicates}`);
+    }
+    if (stats.maskInvalid > 0) {
+        info(`- 脱敏时无法分段或解析而置空的取值数: ${stats.maskInvalid}`);
+    }
+    if (!options.schema) return;
+
+    info(`- 违反列定义的取值数: ${stats.violationCount}`);
+    if (stats.violationCount > 0) {
+        const byColumn = Object.entries(stats.violationsByColumn).map(([column, count]) => `${column} ${count}`);
+        info(`  按列: ${byColumn.join(', ')}`);
+    }
+    if (stats.invalid > 0) {
+        info(`- 因违反列定义被丢弃的记录数: ${stats.invalid}`);
+    }
+    stats.violations.slice(0, MAX_LOGGED_VIOLATIONS).forEach(violation => {
+        // 脱敏时不显示原始取值
+        const value = options.mask ? '' : ` ${JSON.stringify(violation.value)}`;
+        info(`  第 ${violation.line} 行 [${violation.column}]${value}: ${violation.message}`);
+    });
+    if (stats.violationCount > MAX_LOGGED_VIOLATIONS) {
+        info(`  ... 其余 ${stats.violationCount - MAX_LOGGED_VIOLATIONS} 处未显示`);
+    }
+}
+
+// 各列违反列定义的取值数和样例 { 列: { count, samples: [{ line, value, message }] } }，脱敏时样例不含取值
+function invalidValues(stats, options) {
+    return Object.fromEntries(Object.entries(stats.violationsByColumn).map(([column, count]) => {
+        const samples = stats.violations
+            .filter(violation => violation.column === column)
+            .slice(0, MAX_INVALID_SAMPLES)
+            .map(({ line, value, message }) => (options.mask ? { line, message } : { line, value, message }));
+        return [column, { count, samples }];
+    }));
+}
+
+// 没有输出任何记录时的错误信息
+function emptyInputMessage(stats) {
+    if (stats.duplicates > 0) return '去重后没有剩余的记录';
+    if (stats.filtered > 0) return '没有符合条件的记录';
+    return stats.invalid > 0 ? '所有记录均违反列定义' : 'CSV 内容为空或无效';
+}
+
+// 打开输入文件的记录流，被跳过、修复或丢弃的记录写入输出旁的 *.rejects.csv
+function openInput(inputPath, outputPath, options, extra = {}) {
+    const rejects = createRejectsReport(inputPath, outputPath);
+    const input = createCsvStream(inputPath, { ...options, ...extra, onReject: rejects.add });
+    return { ...input, records: closingRejects(input.records, rejects), rejects };
+}
+
+// 记录流读完、出错或写出失败而停止读取时关闭拒绝记录文件
+async function* closingRejects(records, rejects) {
+    try {
+        yield* records;
+    } finally {
+        rejects.close();
+    }
+}
+
+// 输出编码的判定依据
+function logEncoding(encodingInfo) {
+    const detail = encodingInfo.pattern ? `, 匹配 ${encodingInfo.pattern}` : '';
+    info(`- 编码: ${encodingInfo.encoding} (${decisionSources[encodingInfo.source]}${detail}, 置信度 ${encodingInfo.confidence})`);
+    if (encodingInfo.source === 'scored') {
+        const candidates = encodingInfo.candidates
+            .map(candidate => `${candidate.encoding} ${(candidate.badRate * 100).toFixed(2)}%`)
+            .join(', ');
+        info(`  候选异常字符率: ${candidates}`);
+    }
+}
+
+// 输出探测到的 CSV 方言
+function logDialect(dialect) {
+    const source = dialect.sniffed ? `探测置信度 ${dialect.confidence}` : '指定';
+    info(`- 方言: 分隔符 [${describeChar(dialect.delimiter)}]`
+        + `, 引号 [${dialect.quote}], 转义 [${describeChar(dialect.escape)}]`
+        + `, ${dialect.header ? '有' : '无'}表头, 换行 ${describeChar(dialect.lineEnding)} (${source})`);
+}
+
+// 结束输入文件的处理：写出拒绝记录汇总、输出统计，严格模式下拒绝率超限时删除输出并报错；
+// 返回的汇总中 outputs 为生成的全部文件（含拒绝记录附属文件），另含编码及其判定依据、读取与保留的记录数，
+// 有列定义时含各列违反列定义的取值，去重时含删除的重复记录数及明细
+function finishInput(input, outputs, options) {
+    const summary = input.rejects.finish(input.stats);
+    logEncoding(input.encodingInfo);
+    logDialect(input.dialect);
+    logRecordStats(input.stats, options);
+    if (summary.rejectsFile) {
+        info(`- 拒绝记录: ${path.basename(summary.rejectsFile)} (拒绝率 ${(summary.rejectRatio * 100).toFixed(2)}%)`);
+    }
+
+    const maxRatio = Number(options.maxRejectRatio) || 0;
+    if (options.strict && summary.rejectRatio > maxRatio) {
+        outputs.filter(file => fs.existsSync(file)).forEach(file => fs.unlinkSync(file));
+        throw new Error(`拒绝率 ${(summary.rejectRatio * 100).toFixed(2)}% 超过上限 ${(maxRatio * 100).toFixed(2)}%，已删除输出`);
+    }
+    if (Object.keys(summary.reasons).length > 0) {
+        verbose(`- 拒绝原因: ${Object.entries(summary.reasons).map(([code, count]) => `${code} ${count}`).join(', ')}`);
+    }
+    const sidecars = summary.rejectsFile ? [summary.rejectsFile, input.rejects.summaryPath] : [];
+    return {
+        ...summary,
+        outputs: [...outputs, ...sidecars],
+        encoding: input.encoding,
+        encodingInfo: input.encodingInfo,
+        rowsRead: summary.records,
+        rowsKept: input.stats.read - input.stats.filtered - input.stats.invalid - input.stats.duplicates,
+        filtered: input.stats.filtered,
+        ...(options.schema ? { invalidValues: invalidValues(input.stats, options) } : {}),
+        ...(input.dedup ? { duplicates: input.stats.duplicates, duplicateRecords: input.dedup.removed } : {})
+    };
+}
+
+module.exports = {
+    runBatch,
+    logRecordStats,
+    logEncoding,
+    logDialect,
+    invalidValues,
+    emptyInputMessage,
+    openInput,
+    finishInput
+};
@@ -0,0 +1,342 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { compileWhere } = require('./where');
+const { compileSchema } = require('./schema');
+const { compileStyle } = require('./style');
+const { compileMask } = require('./mask');
+const { compileColumns } = require('./columns');
+const { compileSummary } = require('./summary');
+const { compileDedup } = require('./dedup');
+const { parseTimezone } = require('./dates');
+const { optionsFingerprint } = require('./manifest');
+const { runStatus } = require('./report');
+const { setLogLevel } = require('./log');
+const { parseEncodingOverrides, normalizeEncoding } = require('./encoding');
+const iconv = require('iconv-lite');
+
+const commands = {
+    json: require('./commands/json'),
+    xlsx: require('./commands/xlsx'),
+    sql: require('./commands/sql'),
+    filter: require('./commands/filter'),
+    export: require('./commands/export'),
+    join: require('./commands/join'),
+    inspect: require('./commands/inspect')
+};
+
+// 所有子命令共用的参数
+const commonOptions = {
+    input: { type: 'string', short: 'i' },
+    output: { type: 'string', short: 'o' },
+    delimiter: { type: 'string', short: 'd' },
+    quote: { type: 'string' },
+    escape: { type: 'string' },
+    header: { type: 'string' },
+    encoding: { type: 'string', short: 'e' },
+    'encoding-override': { type: 'string', multiple: true },
+    recursive: { type: 'boolean', short: 'r' },
+    include: { type: 'string', multiple: true },
+    exclude: { type: 'string', multiple: true },
+    where: { type: 'string', short: 'w' },
+    schema: { type: 'string', short: 's' },
+    'date-format': { type: 'string', multiple: true },
+    timezone: { type: 'string' },
+    columns: { type: 'string' },
+    'drop-columns': { type: 'string' },
+    rename: { type: 'string', multiple: true },
+    compute: { type: 'string', multiple: true },
+    'summary-by': { type: 'string' },
+    summarize: { type: 'string', multiple: true },
+    pivot: { type: 'string' },
+    dedup: { type: 'string' },
+    keep: { type: 'string' },
+    'latest-by': { type: 'string' },
+    mask: { type: 'string' },
+    'mask-map': { type: 'string' },
+    strict: { type: 'boolean' },
+    'max-reject-ratio': { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    clean: { type: 'boolean' },
+    force: { type: 'boolean' },
+    concurrency: { type: 'string', short: 'j' },
+    workers: { type: 'boolean' },
+    watch: { type: 'boolean' },
+    interval: { type: 'string' },
+    'stable-time': { type: 'string' },
+    archive: { type: 'string' },
+    'error-dir': { type: 'string' },
+    report: { type: 'string' },
+    quiet: { type: 'boolean', short: 'q' },
+    verbose: { type: 'boolean', short: 'v' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+// 退出码：全部成功、部分文件失败、参数或配置错误、全部失败或运行中止
+const exitCodes = {
+    success: 0,
+    partial: 1,
+    usage: 2,
+    failed: 3
+};
+
+const commonDefaults = {
+    input: './data',
+    delimiter: 'auto',
+    include: ['*.csv', '*.tsv', '*.txt', '*.csv.gz'],
+    exclude: []
+};
+
+const commonHelp = `
+  -i, --input <path>     输入目录或文件 (默认: ./data)
+  -o, --output <path>    输出目录
+  -d, --delimiter <ch>   字段分隔符，支持 \\t 或 tab；auto 为根据样本探测 (默认: auto)
+  --quote <ch>           引号字符 (默认: 探测)
+  --escape <ch>          引号内的转义字符 (默认: 探测)
+  --header <mode>        第一行是否为表头: auto | yes | no (默认: auto)
+  -e, --encoding <name>  指定输入编码，缺省时自动检测
+  --encoding-override <glob=编码>
+                         按文件名指定编码，可重复，例如 "legacy_*.csv=gb18030"
+  -r, --recursive        递归处理子目录，输出目录中保持相同的目录结构
+  --include <glob>       只处理匹配的文件，可重复；含 / 的模式匹配相对路径，例如 "2017/**/*.csv"
+                         (默认: *.csv *.tsv *.txt *.csv.gz)
+  --exclude <glob>       跳过匹配的文件，可重复
+  -w, --where <expr>     只保留满足过滤表达式的记录，例如:
+                         "性别 == '男' and 年龄 >= 60 and 就诊日期 between 2017-01-01 and 2017-12-31"
+  -s, --schema <path>    列定义文件 (JSON/YAML)：类型、重命名、必需/可空、默认值
+  --date-format <fmt>    识别日期时尝试的格式，可重复，例如 "DD/MM/YYYY"、"YYYY年M月D日 H:mm"；
+                         用于 XLSX 的类型推断和列定义中没有 format 的日期列 (默认: 常见的年月日格式)
+  --timezone <tz>        日期取值的源时区，例如 Asia/Shanghai、+08:00、UTC (默认: 本地时间)
+  --columns <a,b,...>    只输出这些列，并按此顺序排列
+  --drop-columns <a,b>   不输出这些列
+  --rename <原=新,...>   重命名列，可重复，例如 "性别=gender,年龄=age"
+  --compute <列=表达式>  添加计算列，可重复，例如 "visit_year = year(就诊日期)"、
+                         "age_band = band(年龄, 10, 90)"
+  --summary-by <a,b>     另外输出按这些列分组的汇总：JSON 输出旁的 *.summary.json 或 XLSX 中的“汇总”工作表
+  --summarize <agg,...>  汇总的聚合，可重复: count、count_distinct(列)、sum(列)、avg(列)、min(列)、max(列)，
+                         可写作 "patients = count_distinct(PATIENT_ID)" 指定名称 (默认: count)
+  --pivot <column>       交叉表：该列的每个取值一列
+  --dedup <a,b>          按这些列去重，在整个批次的所有文件间生效；"*" 表示按整行内容去重
+  --keep <policy>        重复时保留: first (最先出现的) | last (最后出现的) |
+                         latest (--latest-by 列最大的) (默认: first；指定 --latest-by 时为 latest)
+  --latest-by <column>   --keep latest 时比较的列，例如更新时间
+  --mask <path>          脱敏配置 (JSON/YAML)：hash、pseudonym、band、date、redact、drop；
+                         hash 的密钥取自环境变量 CSV2X_MASK_SALT
+  --mask-map <file.csv>  hash 与 pseudonym 的对照表，已存在时从中继续编号，处理完成后写回
+  --strict               拒绝率超过 --max-reject-ratio 时该文件转换失败并删除输出
+  --max-reject-ratio <r> 严格模式允许的拒绝率，0 到 1 (默认: 0)
+  --dry-run              只列出将要处理的文件，不写入输出
+  --clean                写入前清空输出目录及其子目录，其中的归档目录、错误目录和源文件保留
+  --force                忽略输出目录中的清单，重新转换所有文件
+  -j, --concurrency <n>  同时处理的文件数 (默认: 1；使用 --workers 时为 CPU 核数)
+  --workers              在工作线程中转换，解析和写出 XLSX 可利用多个 CPU 核
+  --watch                持续监视输入目录，转换新增或修改的文件，Ctrl+C 退出
+  --interval <s>         监视时检查输入目录的间隔秒数 (默认: 2)
+  --stable-time <s>      文件大小和修改时间保持不变多少秒后才转换 (默认: 5)
+  --archive <dir>        转换成功（或未变化而跳过）后把源文件移入该目录
+  --error-dir <dir>      转换失败后把源文件移入该目录
+  --report <file>        运行报告的路径 (默认: 输出目录下的 csv2x-report.json)
+  -q, --quiet            只输出警告和错误
+  -v, --verbose          输出调试信息：转换原因、拒绝原因等
+  -h, --help             显示帮助
+
+退出码: 0 全部成功，1 部分文件失败，2 参数或配置错误，3 全部失败或运行中止`;
+
+function generalHelp() {
+    const lines = Object.values(commands)
+        .map(command => `  ${command.name.padEnd(10)} ${command.description}`);
+    return `用法: csv2x <命令> [选项]
+
+命令:
+${lines.join('\n')}
+
+使用 csv2x <命令> --help 查看各命令的选项。`;
+}
+
+function commandHelp(command) {
+    const outputDefault = command.defaults.output ? ` (默认输出目录: ${command.defaults.output})` : '';
+    return `用法: csv2x ${command.name} [选项]
+
+${command.description}${outputDefault}
+
+通用选项:${commonHelp}${command.help ? `\n\n命令选项:${command.help}` : ''}`;
+}
+
+// kebab-case 转 camelCase
+function camelCase(name) {
+    return name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+function normalizeDelimiter(delimiter) {
+    if (delimiter === '\\t' || delimiter === 'tab') return '\t';
+    return delimiter;
+}
+
+function normalizeHeader(header) {
+    if (header === undefined || header === 'auto') return 'auto';
+    if (['yes', 'true', '1'].includes(header)) return true;
+    if (['no', 'false', '0'].includes(header)) return false;
+    throw new Error(`无效的 --header 取值: ${header}`);
+}
+
+// 解析命令行参数，返回子命令和选项
+function parseCommandLine(argv) {
+    const [name, ...rest] = argv;
+    if (!name || name === '-h' || name === '--help') {
+        return { help: generalHelp() };
+    }
+
+    const command = commands[name];
+    if (!command) {
+        throw new Error(`未知命令: ${name}\n\n${generalHelp()}`);
+    }
+
+    const { values, positionals } = parseArgs({
+        args: rest,
+        options: { ...commonOptions, ...command.options },
+        allowPositionals: true
+    });
+
+    if (values.help) {
+        return { help: commandHelp(command) };
+    }
+
+    const options = { ...commonDefaults, ...command.defaults };
+    Object.entries(values).forEach(([key, value]) => {
+        options[camelCase(key)] = value;
+    });
+    if (positionals[0] && !values.input) options.input = positionals[0];
+    if (positionals[1] && !values.output) options.output = positionals[1];
+    options.argv = argv;
+    // 脱敏对照表在运行结束时写回，之后需要重新计算指纹
+    options.computeFingerprint = () => optionsFingerprint(name, values);
+    options.fingerprint = options.computeFingerprint();
+    options.delimiter = normalizeDelimiter(options.delimiter);
+    options.header = normalizeHeader(options.header);
+    if (options.encoding && !iconv.encodingExists(normalizeEncoding(options.encoding))) {
+        throw new Error(`不支持的编码: ${options.encoding}`);
+    }
+    if (options.encodingOverride) {
+        options.encodingOverrides = parseEncodingOverrides(options.encodingOverride);
+    }
+    if (options.where) {
+        options.whereText = options.where;
+        options.where = compileWhere(options.where);
+    }
+    if (options.timezone) {
+        parseTimezone(options.timezone);
+    }
+    if (options.dateFormat) {
+        options.dateFormats = options.dateFormat;
+    }
+    if (options.schema) {
+        options.schema = compileSchema(options.schema, { timezone: options.timezone, dateFormats: options.dateFormats });
+    }
+    if (options.columns || options.dropColumns || options.rename || options.compute) {
+        options.transform = compileColumns({
+            select: options.columns,
+            drop: options.dropColumns,
+            rename: options.rename,
+            compute: options.compute,
+            dateFormats: options.dateFormats,
+            timezone: options.timezone
+        });
+    }
+    if (options.summaryBy || options.summarize || options.pivot) {
+        options.summary = compileSummary({
+            by: options.summaryBy,
+            aggregates: options.summarize,
+            pivot: options.pivot
+        });
+    }
+    if (options.dedup) {
+        options.dedup = compileDedup({ by: options.dedup, keep: options.keep, latestBy: options.latestBy });
+    } else if (options.keep || options.latestBy) {
+        throw new Error('--keep、--latest-by 需要与 --dedup 同时使用');
+    }
+    if (options.mask) {
+        options.mask = compileMask(options.mask);
+        if (options.maskMap) options.mask.loadMapping(options.maskMap);
+    } else if (options.maskMap) {
+        throw new Error('--mask-map 需要与 --mask 同时使用');
+    }
+    if (options.style) {
+        options.style = compileStyle(options.style);
+    }
+    if (options.concurrency !== undefined) {
+        if (!/^\d+$/.test(options.concurrency) || !(parseInt(options.concurrency, 10) > 0)) {
+            throw new Error(`无效的并发数: ${options.concurrency}`);
+        }
+        options.concurrency = parseInt(options.concurrency, 10);
+    }
+    ['interval', 'stableTime'].forEach(key => {
+        if (options[key] === undefined) return;
+        const seconds = Number(options[key]);
+        if (!(seconds >= 0) || (key === 'interval' && seconds === 0)) {
+            throw new Error(`无效的秒数: ${options[key]}`);
+        }
+        options[key] = seconds;
+    });
+    if (options.watch) {
+        if (options.dryRun || options.clean) {
+            throw new Error('--watch 不能与 --dry-run、--clean 同时使用');
+        }
+        if (!fs.existsSync(options.input) || !fs.statSync(options.input).isDirectory()) {
+            throw new Error(`--watch 需要输入目录: ${options.input}`);
+        }
+    }
+    if (options.dedup && (options.workers || options.watch)) {
+        throw new Error('去重需要在整个批次间比较，--dedup 不能与 --workers、--watch 同时使用');
+    }
+    const pseudonym = Boolean(options.mask) && options.mask.rules.some(rule => rule.method === 'pseudonym');
+    if (options.workers && (options.maskMap || pseudonym)) {
+        throw new Error('各工作线程无法共享脱敏对照，--workers 不能与 pseudonym 脱敏或 --mask-map 同时使用');
+    }
+    // 没有对照表时 pseudonym 编号只在一次运行内按文件顺序分配，监视的后续批次和并发处理的编号无法复现
+    if (pseudonym && !options.maskMap && (options.watch || options.concurrency > 1)) {
+        throw new Error('pseudonym 脱敏未指定 --mask-map 时编号只在一次运行内一致，不能与 --watch、--concurrency 同时使用');
+    }
+    if (options.quiet && options.verbose) {
+        throw new Error('--quiet 不能与 --verbose 同时使用');
+    }
+    if (options.maxRejectRatio !== undefined) {
+        const ratio = Number(options.maxRejectRatio);
+        if (!(ratio >= 0 && ratio <= 1)) {
+            throw new Error(`无效的拒绝率上限: ${options.maxRejectRatio}`);
+        }
+        options.maxRejectRatio = ratio;
+    }
+
+    return { command, options };
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseCommandLine(argv);
+    } catch (error) {
+        console.error(error.message);
+        return exitCodes.usage;
+    }
+
+    if (parsed.help) {
+        console.log(parsed.help);
+        return exitCodes.success;
+    }
+
+    const { command, options } = parsed;
+    setLogLevel(options.quiet ? 'quiet' : options.verbose ? 'verbose' : 'normal');
+    try {
+        const results = await command.run(options);
+        return results ? exitCodes[runStatus(results)] : exitCodes.success;
+    } catch (error) {
+        console.error('处理过程中发生错误:', error.message);
+        return exitCodes.failed;
+    }
+}
+
+module.exports = {
+    commands,
+    exitCodes,
+    parseCommandLine,
+    main
+};
@@ -0,0 +1,108 @@
+const { compileAssignment } = require('./expr');
+
+// 列变换，依次应用：
+//   1. compute 计算列，例如 "visit_year = year(就诊日期)"，可引用前面定义的计算列
+//   2. select 按给定顺序只保留这些列，或 drop 删除这些列（计算列默认追加在最后）
+//   3. rename 重命名，例如 "性别=gender"
+// select、drop、rename 使用重命名之前的列名
+
+// "a,b" 或 ['a,b', 'c'] 展开为列名数组
+function splitList(value) {
+    if (!value) return [];
+    return (Array.isArray(value) ? value : [value])
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+// "原列名=新列名" 列表或 { 原列名: 新列名 } 转换为 Map
+function parseRenames(value) {
+    if (value && !Array.isArray(value) && typeof value === 'object') {
+        return new Map(Object.entries(value));
+    }
+    return new Map(splitList(value).map(item => {
+        const index = item.indexOf('=');
+        if (index <= 0 || index === item.length - 1) {
+            throw new Error(`无效的重命名: ${item}，应为 原列名=新列名`);
+        }
+        return [item.slice(0, index).trim(), item.slice(index + 1).trim()];
+    }));
+}
+
+/**
+ * 编译列变换 { select, drop, rename, compute, dateFormats, timezone }，返回 { apply(record), columnsFor(names) }。
+ * dateFormats、timezone 用于计算列中的 year、month、day、date 函数。
+ * 第一条记录时校验引用的列是否存在，不存在时抛出异常。
+ */
+function compileColumns(spec) {
+    if (!spec) return null;
+    if (typeof spec.apply === 'function') return spec;
+
+    const select = splitList(spec.select);
+    const drop = new Set(splitList(spec.drop));
+    const renames = parseRenames(spec.rename);
+    const computed = (Array.isArray(spec.compute) ? spec.compute : [spec.compute].filter(Boolean))
+        .map(item => (typeof item === 'string'
+            ? compileAssignment(item, { dateFormats: spec.dateFormats, timezone: spec.timezone })
+            : item));
+    if (select.length > 0 && drop.size > 0) {
+        throw new Error('--columns 与 --drop-columns 不能同时使用');
+    }
+
+    // 输入列名对应的输出列名（重命名之前）
+    function selectedNames(names) {
+        const all = [...names];
+        computed.forEach(({ name }) => {
+            if (!all.includes(name)) all.push(name);
+        });
+        return select.length > 0 ? select : all.filter(name => !drop.has(name));
+    }
+
+    // 校验引用的列并返回输出列名
+    function columnsFor(names) {
+        const available = new Set(names);
+        computed.forEach(({ name, columns }) => {
+            columns.filter(column => !available.has(column)).forEach(column => {
+                throw new Error(`计算列 ${name} 引用的列 ${column} 不存在`);
+            });
+            available.add(name);
+        });
+        [...select, ...drop, ...renames.keys()].filter(name => !available.has(name)).forEach(name => {
+            throw new Error(`列 ${name} 不存在`);
+        });
+
+        const output = selectedNames(names).map(name => renames.get(name) || name);
+        const duplicate = output.find((name, index) => output.indexOf(name) !== index);
+        if (duplicate) throw new Error(`输出列名重复: ${duplicate}`);
+        return output;
+    }
+
+    // [[列名, 输出列名]]，按记录的列确定；批量处理时各文件的列可能不同，列变化时重新计算
+    let plan = null;
+    let planNames = [];
+    function apply(record) {
+        const names = Object.keys(record);
+        if (!plan || names.length !== planNames.length || names.some((name, index) => name !== planNames[index])) {
+            columnsFor(names);
+            plan = selectedNames(names).map(name => [name, renames.get(name) || name]);
+            planNames = names;
+        }
+        const full = { ...record };
+        computed.forEach(({ name, evaluate }) => {
+            full[name] = evaluate(full);
+        });
+        const output = {};
+        plan.forEach(([name, outputName]) => {
+            output[outputName] = full[name];
+        });
+        return output;
+    }
+
+    return { apply, columnsFor };
+}
+
+module.exports = {
+    splitList,
+    parseRenames,
+    compileColumns
+};
@@ -0,0 +1,150 @@
+const path = require('path');
+const iconv = require('iconv-lite');
+const { readXlsx, createJsonStream, writeCsv, writeJson } = require('..');
+const { runBatch, logEncoding } = require('../batch');
+const { normalizeEncoding } = require('../encoding');
+const { info } = require('../log');
+
+const formats = ['csv', 'json', 'ndjson'];
+const lineEndings = { crlf: '\r\n', lf: '\n' };
+
+// 读取 XLSX 工作表或 JSON / NDJSON 文件的记录
+async function openSource(inputPath, options) {
+    if (path.extname(inputPath).toLowerCase() === '.xlsx') {
+        const { records, columns, sheetName } = await readXlsx(inputPath, {
+            sheet: options.sheet,
+            headerRow: options.headerRow,
+            range: options.range
+        });
+        return { records, columns, detail: `工作表 ${sheetName}` };
+    }
+    const source = await createJsonStream(inputPath, options);
+    return { ...source, detail: source.format.toUpperCase() };
+}
+
+// 按 --where 过滤记录
+async function* whereFilter(records, where, counter) {
+    for await (const record of records) {
+        if (where(record)) yield record;
+        else counter.filtered++;
+    }
+}
+
+// 按 --columns、--rename、--compute 等变换记录
+async function* transformRecords(records, transform) {
+    for await (const record of records) {
+        yield transform.apply(record);
+    }
+}
+
+// XLSX / JSON 转回 CSV 或 JSON
+async function exportFile(inputPath, outputPath, options) {
+    const source = await openSource(inputPath, options);
+    const counter = { filtered: 0 };
+    let records = options.where ? whereFilter(source.records, options.where, counter) : source.records;
+    let columns = source.columns;
+    if (options.transform) {
+        columns = options.transform.columnsFor(columns);
+        records = transformRecords(records, options.transform);
+    }
+
+    let count;
+    if (options.format === 'csv') {
+        count = await writeCsv(records, outputPath, {
+            columns,
+            delimiter: options.delimiter === 'auto' ? ',' : options.delimiter,
+            quote: options.quote || '"',
+            header: options.header !== false,
+            lineEnding: lineEndings[options.lineEnding],
+            encoding: options.outputEncoding,
+            bom: options.bom
+        });
+    } else {
+        count = await writeJson(records, outputPath, { format: options.format });
+    }
+
+    const encoding = options.format === 'csv' ? ` (${options.outputEncoding}${options.bom ? ', BOM' : ''})` : '';
+    info(`转换完成: ${path.basename(inputPath)} -> ${path.basename(outputPath)}${encoding}`);
+    info(`- 来源: ${source.detail}`);
+    if (source.encodingInfo) logEncoding(source.encodingInfo);
+    info(`- 记录数: ${count}`);
+    if (options.where) {
+        info(`- 被过滤条件排除的记录数: ${counter.filtered}`);
+    }
+    return {
+        outputs: [outputPath],
+        encoding: source.encoding || null,
+        encodingInfo: source.encodingInfo || null,
+        rowsRead: count + counter.filtered,
+        rowsKept: count,
+        filtered: counter.filtered
+    };
+}
+
+// 校验选项，返回批量转换的设置
+function batch(options) {
+    if (!formats.includes(options.format)) {
+        throw new Error(`不支持的输出格式: ${options.format}`);
+    }
+    if (!lineEndings[options.lineEnding]) {
+        throw new Error(`不支持的换行符: ${options.lineEnding}，可选: ${Object.keys(lineEndings).join(' | ')}`);
+    }
+    options.outputEncoding = normalizeEncoding(options.outputEncoding);
+    if (!iconv.encodingExists(options.outputEncoding)) {
+        throw new Error(`不支持的编码: ${options.outputEncoding}`);
+    }
+    if (options.headerRow !== undefined && !/^\d+$/.test(options.headerRow)) {
+        throw new Error(`无效的表头行: ${options.headerRow}`);
+    }
+    if (options.schema) {
+        throw new Error('export 命令不支持 --schema');
+    }
+    if (options.summary) {
+        throw new Error('export 命令不支持 --summarize');
+    }
+    if (options.dedup) {
+        throw new Error('export 命令不支持 --dedup');
+    }
+    return { extension: `.${options.format}`, convert: exportFile, label: 'XLSX/JSON' };
+}
+
+function run(options) {
+    return runBatch(options, batch(options));
+}
+
+module.exports = {
+    name: 'export',
+    description: '将 XLSX、JSON、NDJSON 文件转回 CSV 或 JSON',
+    defaults: {
+        output: './csv_files',
+        include: ['*.xlsx', '*.json', '*.ndjson', '*.jsonl'],
+        // 不把 csv2x 输出旁的附属文件当作数据
+        exclude: ['*.rejects.json', '*.summary.json', '*.profile.json'],
+        format: 'csv',
+        outputEncoding: 'utf8',
+        lineEnding: 'crlf'
+    },
+    options: {
+        format: { type: 'string', short: 'f' },
+        sheet: { type: 'string' },
+        'header-row': { type: 'string' },
+        range: { type: 'string' },
+        'output-encoding': { type: 'string' },
+        bom: { type: 'boolean' },
+        'line-ending': { type: 'string' }
+    },
+    help: `
+  -f, --format <fmt>       输出格式: csv | json | ndjson (默认: csv)
+  --sheet <name|n>         XLSX 工作表名称或序号 (默认: 第一个工作表)
+  --header-row <n>         XLSX 表头所在行，0 表示没有表头 (默认: 区域的第一行)
+  --range <A1:F100>        只读取 XLSX 的指定区域
+  --output-encoding <enc>  CSV 输出编码，例如 gbk (默认: utf8)
+  --bom                    CSV 开头写入 BOM，便于 Excel 识别 UTF-8
+  --line-ending <type>     CSV 换行符: crlf | lf (默认: crlf)
+
+  -e/--encoding 指定 JSON 输入的编码；-d/--delimiter、--quote 指定 CSV 输出的分隔符和引号，
+  --header no 不输出表头行。嵌套对象和数组展开为 a.b、c.0 形式的列。`,
+    exportFile,
+    batch,
+    run
+};
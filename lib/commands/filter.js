@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const { writeJson, writeXlsx } = require('..');
+const { runBatch, openInput, finishInput } = require('../batch');
+const { xlsxOptions, logSummary, validateXlsxOptions } = require('./xlsx');
+const { sidecarPath } = require('../rejects');
+const { tapSummary, writeSummaryJson } = require('../summary');
+const { info } = require('../log');
+
+// 从命令行参数和文件中收集允许的取值
+function loadAllowedValues(options) {
+    const values = [];
+    if (options.ids) {
+        values.push(...options.ids.split(','));
+    }
+    if (options.idsFile) {
+        values.push(...fs.readFileSync(options.idsFile, 'utf8').split(/\r?\n/));
+    }
+    return new Set(values.map(value => value.trim()).filter(Boolean));
+}
+
+// 按 --ids、--ids-file 过滤的读取选项
+function readOptions(options) {
+    const allowed = loadAllowedValues(options);
+    return { filter: allowed.size > 0 ? record => allowed.has(record[options.column]) : null };
+}
+
+// 按列取值和过滤表达式过滤 CSV 并输出
+async function filterCsv(inputPath, outputPath, options) {
+    const input = openInput(inputPath, outputPath, options, readOptions(options));
+    const { encoding, stats } = input;
+    const summary = options.summary ? options.summary.create() : null;
+    const records = summary ? tapSummary(input.records, summary) : input.records;
+
+    let kept;
+    let outputs = [outputPath];
+    if (options.format === 'json') {
+        kept = await writeJson(records, outputPath);
+        if (kept === 0) fs.unlinkSync(outputPath);
+    } else {
+        const result = await writeXlsx(records, outputPath, xlsxOptions(inputPath, options, summary));
+        kept = result.rows;
+        outputs = result.files;
+    }
+
+    if (kept === 0) {
+        input.rejects.finish(stats);
+        throw new Error(stats.duplicates > 0 ? '去重后没有剩余的记录' : '没有符合条件的记录');
+    }
+
+    info(`转换完成: ${path.basename(inputPath)} -> ${outputs.map(file => path.basename(file)).join(', ')} (${encoding})`);
+    info(`- 总记录数: ${stats.read}`);
+    info(`- 符合条件的记录数: ${kept}`);
+    if (summary && options.format === 'json') {
+        const summaryPath = sidecarPath(outputPath, '.summary.json');
+        writeSummaryJson(summaryPath, summary, { file: inputPath });
+        info(`- 汇总: ${path.basename(summaryPath)} (${summary.size()} 组)`);
+        outputs.push(summaryPath);
+    } else {
+        logSummary(summary);
+    }
+    return finishInput(input, outputs, { ...options, where: null });
+}
+
+// 校验选项，返回批量转换的设置
+function batch(options) {
+    if (!['json', 'xlsx'].includes(options.format)) {
+        throw new Error(`不支持的输出格式: ${options.format}`);
+    }
+    validateXlsxOptions(options);
+    if (loadAllowedValues(options).size === 0 && !options.where) {
+        throw new Error('请通过 --where、--ids 或 --ids-file 指定过滤条件');
+    }
+    return {
+        extension: `.${options.format}`,
+        convert: filterCsv,
+        scanOptions: options.dedup ? readOptions(options) : undefined
+    };
+}
+
+function run(options) {
+    const spec = batch(options);
+    const allowed = loadAllowedValues(options);
+    if (allowed.size > 0) {
+        info(`仅保留 ${options.column} 属于以下取值的记录:`);
+        allowed.forEach(id => info(`- ${id}`));
+    }
+    if (options.whereText) {
+        info(`过滤条件: ${options.whereText}`);
+    }
+    info('------------------------');
+
+    return runBatch(options, spec);
+}
+
+module.exports = {
+    name: 'filter',
+    description: '按过滤表达式或列取值过滤 CSV 记录后输出为 Excel 或 JSON',
+    defaults: {
+        output: './excel_files_filtered',
+        column: 'PATIENT_ID',
+        format: 'xlsx',
+        split: 'sheets'
+    },
+    options: {
+        column: { type: 'string' },
+        ids: { type: 'string' },
+        'ids-file': { type: 'string' },
+        format: { type: 'string', short: 'f' },
+        split: { type: 'string' },
+        'max-rows': { type: 'string' },
+        style: { type: 'string' }
+    },
+    help: `
+  --column <name>        过滤所依据的列 (默认: PATIENT_ID)
+  --ids <a,b,...>        允许的取值，逗号分隔
+  --ids-file <path>      允许的取值文件，每行一个
+  -f, --format <fmt>     输出格式: xlsx | json (默认: xlsx)
+  --split <mode>         XLSX 超过单表行数上限时拆分为: sheets | files (默认: sheets)
+  --max-rows <n>         每个工作表的数据行数上限 (默认: 1048575)
+  --style <file>         XLSX 样式文件 (JSON/YAML)`,
+    filterCsv,
+    batch,
+    run
+};
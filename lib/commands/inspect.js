@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const { profileCsv } = require('..');
+const { inputFilesFor, ensureDir, clashingInputs, outputPathFor } = require('../files');
+const { logEncoding, logDialect, logRecordStats, invalidValues } = require('../batch');
+const { valueText } = require('../profile');
+const { displayWidth } = require('../xlsx');
+const { info, setLogLevel } = require('../log');
+
+// 表格中单元格的最大显示宽度，超出部分以 … 代替
+const MAX_CELL_WIDTH = 24;
+
+const tableHeaders = ['列', '类型', '空值率', '不同值', '最小值', '最大值', '最大长度', '无效'];
+
+function formatCell(value) {
+    if (value === null || value === undefined) return '-';
+    let text = valueText(value).replace(/\s+/g, ' ');
+    if (displayWidth(text) <= MAX_CELL_WIDTH) return text;
+    while (displayWidth(`${text}…`) > MAX_CELL_WIDTH) text = text.slice(0, -1);
+    return `${text}…`;
+}
+
+function padCell(text, width) {
+    return text + ' '.repeat(width - displayWidth(text));
+}
+
+// 按显示宽度对齐的表格
+function formatTable(headers, rows) {
+    const widths = headers.map((header, index) => Math.max(
+        displayWidth(header),
+        ...rows.map(row => displayWidth(row[index]))
+    ));
+    const line = cells => cells.map((cell, index) => padCell(cell, widths[index])).join('  ').trimEnd();
+    return [line(headers), line(widths.map(width => '-'.repeat(width))), ...rows.map(line)].join('\n');
+}
+
+function columnRow(column) {
+    return [
+        formatCell(column.name),
+        column.type || '(空)',
+        `${(column.emptyRate * 100).toFixed(1)}%`,
+        `${column.distinct}${column.distinctExceeded ? '+' : ''}`,
+        formatCell(column.min),
+        formatCell(column.max),
+        String(column.maxLength),
+        String(column.invalid)
+    ];
+}
+
+// 在控制台输出单个文件的概况
+function logProfile(profile, stats, options) {
+    info(`文件: ${path.basename(profile.file)}`);
+    logEncoding(profile.encodingInfo);
+    logDialect(profile.dialect);
+    info(`- 记录数: ${profile.rows}`);
+    info(`- 格式错误的行数: ${profile.malformed.count}`);
+    profile.malformed.samples.forEach(sample => {
+        info(`  第 ${sample.line} 行: ${sample.reason}`);
+    });
+    logRecordStats(stats, options);
+    if (profile.columns.length === 0) return;
+
+    info(`- 列 (${profile.columns.length}):`);
+    info(formatTable(tableHeaders, profile.columns.map(columnRow)));
+
+    info('- 常见取值:');
+    profile.columns.filter(column => column.top.length > 0).forEach(column => {
+        const values = column.top.map(({ value, count }) => `${formatCell(value)} (${count})`);
+        info(`  ${column.name}: ${values.join(', ')}`);
+    });
+    const invalid = profile.columns.filter(column => column.invalid > 0);
+    if (invalid.length > 0) {
+        info(`- 不符合推断类型的取值:`);
+        invalid.forEach(column => {
+            const samples = column.invalidSamples.map(value => JSON.stringify(valueText(value)));
+            info(`  ${column.name} (${column.type}): ${samples.join(', ')}${column.invalid > samples.length ? ' ...' : ''}`);
+        });
+    }
+}
+
+// 统计单个 CSV 文件的数据概况，-o 指定时写出 <name>.profile.json；clashing 见 clashingInputs
+async function inspectCsv(inputPath, options, clashing = null) {
+    const { stats, ...result } = await profileCsv(inputPath, options);
+    const profile = {
+        file: inputPath,
+        ...result,
+        ...(options.schema ? { invalidValues: invalidValues(stats, options) } : {})
+    };
+
+    logProfile(profile, stats, options);
+    if (options.output) {
+        const outputPath = outputPathFor(inputPath, options.output, '.profile.json', options.input, clashing);
+        ensureDir(path.dirname(outputPath));
+        fs.writeFileSync(outputPath, JSON.stringify(profile, null, 2), 'utf8');
+        info(`- 概况: ${outputPath}`);
+    }
+    return profile;
+}
+
+// 校验选项
+function prepare(options) {
+    if (options.dedup) {
+        throw new Error('inspect 命令不支持 --dedup');
+    }
+    if (options.top !== undefined) {
+        if (!/^\d+$/.test(options.top)) {
+            throw new Error(`无效的常见取值数: ${options.top}`);
+        }
+        options.top = parseInt(options.top, 10);
+    }
+}
+
+async function run(options) {
+    prepare(options);
+    // --json 时标准输出只有 JSON
+    if (options.json) setLogLevel('quiet');
+    const files = inputFilesFor(options);
+    const clashing = clashingInputs(files);
+
+    if (files.length === 0) {
+        info('未找到CSV文件');
+    }
+
+    const results = { success: 0, failed: 0, total: files.length, failedFiles: [] };
+    const profiles = [];
+    for (const file of files) {
+        try {
+            profiles.push(await inspectCsv(file, options, clashing));
+            results.success++;
+        } catch (error) {
+            console.error(`检查失败 ${path.basename(file)}:`, error.message);
+            results.failed++;
+            results.failedFiles.push(path.basename(file));
+        }
+        info('------------------------');
+    }
+    if (options.json) {
+        process.stdout.write(`${JSON.stringify(profiles, null, 2)}\n`);
+    }
+    return results;
+}
+
+module.exports = {
+    name: 'inspect',
+    description: '查看 CSV 文件的编码、方言和各列的数据概况',
+    defaults: {},
+    options: {
+        json: { type: 'boolean' },
+        top: { type: 'string' }
+    },
+    help: `
+  --json                 以 JSON 输出到标准输出，不输出表格
+  --top <n>              每列列出的常见取值数 (默认: 5)
+  -o <dir>               另外把每个文件的概况写为 <dir>/<name>.profile.json`,
+    inspectCsv,
+    run
+};
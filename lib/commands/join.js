@@ -0,0 +1,203 @@
+const fs = require('fs');
+const path = require('path');
+const { createCsvStream, writeJson, writeXlsx, titleFromPath } = require('..');
+const { runBatch, openInput, finishInput } = require('../batch');
+const { openJoinTables, joinTypes, duplicateModes, DEFAULT_MAX_ROWS_IN_MEMORY } = require('../join');
+const { inputFilesFor, inputBaseName } = require('../files');
+const { splitList } = require('../columns');
+const { sidecarPath } = require('../rejects');
+const { SUMMARY_SHEET, tapSummary, writeSummaryJson } = require('../summary');
+const { info } = require('../log');
+
+const formats = ['json', 'ndjson', 'xlsx'];
+
+// 各表只按编码、方言和列定义读取；过滤、列变换和脱敏作用于连接后的记录，脱敏时拒绝记录仍不含原始行
+function readOptions(options) {
+    return { where: undefined, transform: undefined, mask: undefined, redactRejects: Boolean(options.mask) };
+}
+
+// 读取 --with 指定的右表并建立索引，所有左表共用
+async function openTables(options) {
+    const inputs = new Map();
+    const joiner = await openJoinTables(options.with.map(file => ({
+        name: inputBaseName(file),
+        open: () => {
+            const input = createCsvStream(file, { ...options, ...readOptions(options) });
+            inputs.set(file, input);
+            return input.records;
+        }
+    })), {
+        on: options.on,
+        type: options.type,
+        duplicates: options.duplicates,
+        maxRowsInMemory: options.maxRowsInMemory
+    });
+
+    joiner.tables.forEach((table, index) => {
+        const { stats, encoding } = inputs.get(options.with[index]);
+        const skipped = stats.skipped > 0 ? `，无法解析而跳过 ${stats.skipped} 行` : '';
+        const invalid = stats.invalid > 0 ? `，违反列定义而丢弃 ${stats.invalid} 条` : '';
+        info(`右表 ${table.name}: ${table.rows} 条记录 (${encoding})${skipped}${invalid}`);
+    });
+    if (joiner.partitions > 0) {
+        info(`右表记录数超过内存上限 ${options.maxRowsInMemory}，按键分为 ${joiner.partitions} 个分区连接，输出不保持左表顺序`);
+    }
+    info('------------------------');
+    return joiner;
+}
+
+// 连接后的记录依次经过 --where、列变换和脱敏
+async function* finishRecords(records, options, stats, counter) {
+    for await (const record of records) {
+        if (options.where && !options.where(record)) {
+            stats.filtered++;
+            continue;
+        }
+        let output = options.transform ? options.transform.apply(record) : record;
+        if (options.mask) output = options.mask.apply(output, stats);
+        counter.rows++;
+        yield output;
+    }
+}
+
+// 一个左表与所有右表连接，写出 JSON / NDJSON / XLSX
+async function joinFile(inputPath, outputPath, options, joiner) {
+    const input = openInput(inputPath, outputPath, options, readOptions(options));
+    const counter = { rows: 0, unmatched: 0 };
+    const summary = options.summary ? options.summary.create() : null;
+    let records = finishRecords(joiner.join(input.records, counter), options, input.stats, counter);
+    if (summary) records = tapSummary(records, summary);
+
+    let outputs;
+    if (options.format === 'xlsx') {
+        const { rows, files } = await writeXlsx(records, outputPath, {
+            title: titleFromPath(inputPath),
+            guessTypes: !options.schema,
+            dateFormats: options.dateFormats,
+            timezone: options.timezone,
+            extraSheets: summary ? () => [{ name: SUMMARY_SHEET, records: summary.rows() }] : undefined
+        });
+        if (rows === 0) {
+            input.rejects.finish(input.stats);
+            throw new Error('连接后没有记录');
+        }
+        outputs = files;
+    } else {
+        await writeJson(records, outputPath, { format: options.format, pretty: !options.minify });
+        outputs = [outputPath];
+    }
+
+    const tables = joiner.tables.map(table => table.name).join(' + ');
+    info(`连接完成: ${path.basename(inputPath)} + ${tables} -> ${outputs.map(file => path.basename(file)).join(', ')} (${input.encoding})`);
+    info(`- 左表记录数: ${input.stats.read - input.stats.invalid}`);
+    info(`- 没有匹配的左表记录数: ${counter.unmatched}${options.type === 'inner' ? ' (已排除)' : ''}`);
+    info(`- 输出记录数: ${counter.rows}`);
+    if (summary && options.format === 'xlsx') {
+        info(`- 汇总: 工作表 ${SUMMARY_SHEET} (${summary.size()} 组)`);
+    } else if (summary) {
+        const summaryPath = sidecarPath(outputPath, '.summary.json');
+        writeSummaryJson(summaryPath, summary, { file: inputPath, tables: options.with });
+        info(`- 汇总: ${path.basename(summaryPath)} (${summary.size()} 组)`);
+        outputs.push(summaryPath);
+    }
+    return { ...finishInput(input, outputs, options), rowsKept: counter.rows };
+}
+
+// 校验选项，返回批量转换的设置
+function batch(options) {
+    if (!options.with || options.with.length === 0) {
+        throw new Error('--with 至少需要指定一个右表');
+    }
+    options.with.filter(file => !fs.existsSync(file)).forEach(file => {
+        throw new Error(`右表不存在: ${file}`);
+    });
+    options.on = splitList(options.on);
+    if (options.on.length === 0) {
+        throw new Error('--on 需要指定键列');
+    }
+    if (!joinTypes.includes(options.type)) {
+        throw new Error(`不支持的连接方式: ${options.type}，可选: ${joinTypes.join(' | ')}`);
+    }
+    if (!duplicateModes.includes(options.duplicates)) {
+        throw new Error(`不支持的重复键处理方式: ${options.duplicates}，可选: ${duplicateModes.join(' | ')}`);
+    }
+    if (!formats.includes(options.format)) {
+        throw new Error(`不支持的输出格式: ${options.format}`);
+    }
+    if (options.duplicates === 'nest' && options.format === 'xlsx') {
+        throw new Error('--duplicates nest 只适用于 JSON 输出');
+    }
+    if (options.maxRowsInMemory !== undefined) {
+        if (!/^\d+$/.test(options.maxRowsInMemory) || !(parseInt(options.maxRowsInMemory, 10) > 0)) {
+            throw new Error(`无效的内存行数上限: ${options.maxRowsInMemory}`);
+        }
+        options.maxRowsInMemory = parseInt(options.maxRowsInMemory, 10);
+    } else {
+        options.maxRowsInMemory = DEFAULT_MAX_ROWS_IN_MEMORY;
+    }
+    if (options.workers || options.watch) {
+        throw new Error('join 命令不能与 --workers、--watch 同时使用');
+    }
+    if (options.dedup) {
+        throw new Error('join 命令不支持 --dedup');
+    }
+
+    // 输入目录中的右表不作为左表处理
+    const rightFiles = new Set(options.with.map(file => path.resolve(file)));
+    return {
+        extension: `.${options.format}`,
+        convert: joinFile,
+        files: inputFilesFor(options).filter(file => !rightFiles.has(path.resolve(file))),
+        parallel: false
+    };
+}
+
+async function run(options) {
+    const spec = batch(options);
+    if (options.dryRun) return runBatch(options, spec);
+
+    const joiner = await openTables(options);
+    try {
+        return await runBatch(options, {
+            ...spec,
+            convert: (inputPath, outputPath) => joinFile(inputPath, outputPath, options, joiner)
+        });
+    } finally {
+        joiner.close();
+    }
+}
+
+module.exports = {
+    name: 'join',
+    description: '按键列连接多个 CSV 文件，输出 JSON 或 Excel',
+    defaults: {
+        output: './joined',
+        format: 'json',
+        type: 'left',
+        duplicates: 'all'
+    },
+    options: {
+        with: { type: 'string', multiple: true },
+        on: { type: 'string' },
+        type: { type: 'string' },
+        duplicates: { type: 'string' },
+        format: { type: 'string', short: 'f' },
+        minify: { type: 'boolean' },
+        'max-rows-in-memory': { type: 'string' }
+    },
+    help: `
+  --with <file.csv>      与输入连接的右表，可重复；-i 为目录时其中每个 CSV 分别作为左表
+  --on <a,b>             键列，各表中的列名相同；多个键列时全部相等才匹配，键为空的记录不匹配
+  --type <type>          left (保留没有匹配的左表记录，右表的列为 null) | inner (默认: left)
+  --duplicates <mode>    右表中同一个键有多条记录时: all (输出所有组合) | first | last | error |
+                         nest (匹配的记录作为数组放在以表名命名的列中，仅 JSON) (默认: all)
+  -f, --format <fmt>     输出格式: json | ndjson | xlsx (默认: json)
+  --minify               JSON 不缩进、不换行
+  --max-rows-in-memory <n>
+                         右表在内存中保留的记录总数上限，超过时按键分区写入临时文件 (默认: 1000000)
+
+  右表中与已有列重名的列加表名前缀，例如 diagnoses.诊断；-w、--columns、--mask 等作用于连接后的记录。`,
+    joinFile,
+    batch,
+    run
+};
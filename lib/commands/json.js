@@ -0,0 +1,106 @@
+const path = require('path');
+const { writeJson, groupRecords, nestRecords } = require('..');
+const { runBatch, openInput, finishInput } = require('../batch');
+const { sidecarPath } = require('../rejects');
+const { tapSummary, writeSummaryJson } = require('../summary');
+const { info } = require('../log');
+
+const formats = ['json', 'ndjson', 'columnar'];
+
+// 统计经过的记录数
+async function* countRecords(records, counter) {
+    for await (const record of records) {
+        counter.rows++;
+        yield record;
+    }
+}
+
+// CSV 转 JSON（流式写入；分组时除 --sorted 外需要在内存中保留全部记录）
+async function convertCSVToJSON(inputPath, outputPath, options) {
+    const input = openInput(inputPath, outputPath, options);
+    const counter = { rows: 0 };
+    const summary = options.summary ? options.summary.create() : null;
+    let records = countRecords(input.records, counter);
+    if (summary) records = tapSummary(records, summary);
+    if (options.groupBy) {
+        records = groupRecords(records, {
+            by: options.groupBy,
+            children: options.children,
+            parentColumns: options.parentColumns,
+            sorted: options.sorted,
+            nest: options.nest
+        });
+    } else if (options.nest) {
+        records = nestRecords(records);
+    }
+    const count = await writeJson(records, outputPath, { format: options.format, pretty: !options.minify });
+
+    info(`转换完成: ${path.basename(inputPath)} -> ${path.basename(outputPath)} (${input.encoding})`);
+    info(`- 有效记录数: ${counter.rows}`);
+    if (options.groupBy) {
+        info(`- 按 ${options.groupBy} 分组数: ${count}`);
+    }
+    const outputs = [outputPath];
+    if (summary) {
+        const summaryPath = sidecarPath(outputPath, '.summary.json');
+        writeSummaryJson(summaryPath, summary, { file: inputPath });
+        info(`- 汇总: ${path.basename(summaryPath)} (${summary.size()} 组)`);
+        outputs.push(summaryPath);
+    }
+    return finishInput(input, outputs, options);
+}
+
+// 校验选项，返回批量转换的设置
+function batch(options) {
+    if (!formats.includes(options.format)) {
+        throw new Error(`不支持的输出格式: ${options.format}`);
+    }
+    if (options.groupBy) {
+        if (options.format === 'columnar') {
+            throw new Error('columnar 格式不支持 --group-by');
+        }
+        options.parentColumns = options.parentColumns
+            ? options.parentColumns.split(',').map(column => column.trim()).filter(Boolean)
+            : [];
+        if ([options.groupBy, ...options.parentColumns].includes(options.children)) {
+            throw new Error(`子集合名称 ${options.children} 与父级列重名`);
+        }
+    } else if (options.parentColumns || options.sorted) {
+        throw new Error('--parent-columns 和 --sorted 需要与 --group-by 同时使用');
+    }
+    return { extension: options.format === 'ndjson' ? '.ndjson' : '.json', convert: convertCSVToJSON };
+}
+
+function run(options) {
+    return runBatch(options, batch(options));
+}
+
+module.exports = {
+    name: 'json',
+    description: '将 CSV 文件转换为 JSON',
+    defaults: {
+        output: './output',
+        format: 'json',
+        children: 'records'
+    },
+    options: {
+        format: { type: 'string', short: 'f' },
+        minify: { type: 'boolean' },
+        'group-by': { type: 'string' },
+        children: { type: 'string' },
+        'parent-columns': { type: 'string' },
+        sorted: { type: 'boolean' },
+        nest: { type: 'boolean' }
+    },
+    help: `
+  -f, --format <fmt>     输出格式: json (JSON 数组) | ndjson (每行一条) | columnar (按列的 { 列名: [取值] }) (默认: json)
+  --minify               JSON 不缩进、不换行
+  --group-by <column>    按键列分组，每组输出一个文档
+  --children <name>      分组时子记录数组的名称 (默认: records)
+  --parent-columns <a,b> 分组时保留在父级的列，键列总是保留 (取组内第一条记录的值)
+  --sorted               输入已按键列排序，分组时逐组输出，不在内存中保留全部记录
+  --nest                 把带点号的列名展开为嵌套对象，例如 address.city`,
+    convertCSVToJSON,
+    batch,
+    run
+};
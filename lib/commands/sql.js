@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { createCsvStream, inferSqlTypes, writeSql, writeSqlite, titleFromPath } = require('..');
+const { runBatch, openInput, finishInput, emptyInputMessage } = require('../batch');
+const { info } = require('../log');
+
+const formats = ['sql', 'sqlite'];
+
+// CSV 转 SQL 脚本或 SQLite 数据库：第一遍推断列类型，第二遍写出
+async function convertCsvToSql(inputPath, outputPath, options) {
+    const { columns, types } = await inferSqlTypes(createCsvStream(inputPath, options).records, { dateFormats: options.dateFormats });
+    const input = openInput(inputPath, outputPath, options);
+    const write = options.format === 'sqlite' ? writeSqlite : writeSql;
+    const table = options.table || titleFromPath(inputPath);
+    const count = await write(input.records, outputPath, {
+        table,
+        columns,
+        types,
+        dateFormats: options.dateFormats,
+        batchSize: options.batchSize ? parseInt(options.batchSize, 10) : undefined
+    });
+
+    if (count === 0) {
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        input.rejects.finish(input.stats);
+        throw new Error(emptyInputMessage(input.stats));
+    }
+
+    info(`转换完成: ${path.basename(inputPath)} -> ${path.basename(outputPath)} (${input.encoding})`);
+    info(`- 表: ${table}, 有效记录数: ${count}`);
+    info(`- 列类型: ${columns.map(column => `${column} ${types[column]}`).join(', ')}`);
+    return finishInput(input, [outputPath], options);
+}
+
+// 校验选项，返回批量转换的设置
+function batch(options) {
+    if (!formats.includes(options.format)) {
+        throw new Error(`不支持的输出格式: ${options.format}`);
+    }
+    if (options.batchSize && !(parseInt(options.batchSize, 10) > 0)) {
+        throw new Error(`无效的批量大小: ${options.batchSize}`);
+    }
+    if (options.summary) {
+        throw new Error('sql 命令不支持 --summarize');
+    }
+    return { extension: `.${options.format}`, convert: convertCsvToSql };
+}
+
+function run(options) {
+    return runBatch(options, batch(options));
+}
+
+module.exports = {
+    name: 'sql',
+    description: '将 CSV 文件转换为 SQL 脚本或 SQLite 数据库',
+    defaults: {
+        output: './sql_files',
+        format: 'sql'
+    },
+    options: {
+        format: { type: 'string', short: 'f' },
+        table: { type: 'string' },
+        'batch-size': { type: 'string' }
+    },
+    help: `
+  -f, --format <fmt>     输出格式: sql (CREATE TABLE + INSERT 脚本) | sqlite (数据库文件) (默认: sql)
+  --table <name>         表名 (默认: 文件名)
+  --batch-size <n>       每条 INSERT 语句包含的记录数 (默认: 500)`,
+    convertCsvToSql,
+    batch,
+    run
+};
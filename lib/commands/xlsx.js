@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const { writeXlsx, titleFromPath } = require('..');
+const { runBatch, openInput, finishInput, emptyInputMessage } = require('../batch');
+const { createMergedXlsxWriter } = require('../xlsx');
+const { inputFilesFor, clashingInputs, outputPathFor } = require('../files');
+const { SUMMARY_SHEET, tapSummary } = require('../summary');
+const { info } = require('../log');
+
+const splitModes = ['sheets', 'files'];
+
+// 超过行数上限时的拆分选项；有汇总时在最后追加汇总工作表
+function xlsxOptions(inputPath, options, summary = null) {
+    return {
+        title: titleFromPath(inputPath),
+        split: options.split,
+        maxRows: options.maxRows ? parseInt(options.maxRows, 10) : undefined,
+        guessTypes: !options.schema, // 有列定义时按列定义转换类型
+        dateFormats: options.dateFormats,
+        timezone: options.timezone,
+        style: options.style,
+        extraSheets: summary ? () => [{ name: SUMMARY_SHEET, records: summary.rows() }] : undefined
+    };
+}
+
+// 输出汇总的组数
+function logSummary(summary) {
+    if (summary) info(`- 汇总: 工作表 ${SUMMARY_SHEET} (${summary.size()} 组)`);
+}
+
+// CSV 转 Excel（流式读取，超过单表行数上限时拆分）
+async function convertCsvToExcel(inputPath, outputPath, options) {
+    const input = openInput(inputPath, outputPath, options);
+    const { stats } = input;
+    const summary = options.summary ? options.summary.create() : null;
+    const records = summary ? tapSummary(input.records, summary) : input.records;
+    const { rows, files } = await writeXlsx(records, outputPath, xlsxOptions(inputPath, options, summary));
+
+    if (rows === 0) {
+        input.rejects.finish(stats);
+        throw new Error(emptyInputMessage(stats));
+    }
+
+    info(`转换完成: ${path.basename(inputPath)} -> ${files.map(file => path.basename(file)).join(', ')} (${input.encoding})`);
+    info(`- 有效记录数: ${rows}`);
+    logSummary(summary);
+    return finishInput(input, files, options);
+}
+
+// 合并模式：所有 CSV 写入同一个工作簿，每个文件一个以文件名命名的工作表
+async function mergeCsvToExcel(options) {
+    const mergedPath = path.join(options.output, path.extname(options.merge) ? options.merge : `${options.merge}.xlsx`);
+    const writer = createMergedXlsxWriter(mergedPath, {
+        ...xlsxOptions(mergedPath, options),
+        indexSheet: options.indexSheet
+    });
+
+    const clashing = clashingInputs(inputFilesFor(options));
+    async function convert(inputPath, outputPath) {
+        // 拒绝记录仍按源文件写到各自的附属文件
+        const rejectsBase = outputPathFor(inputPath, options.output, '.xlsx', options.input, clashing);
+        fs.mkdirSync(path.dirname(rejectsBase), { recursive: true });
+        const input = openInput(inputPath, rejectsBase, options);
+        const { stats } = input;
+        const { rows, commit } = await writer.read(titleFromPath(inputPath), input.records);
+
+        if (rows === 0) {
+            input.rejects.finish(stats);
+            throw new Error(emptyInputMessage(stats));
+        }
+
+        const summary = finishInput(input, [], options);
+        const sheets = commit({ file: path.basename(inputPath), encoding: input.encoding });
+        info(`转换完成: ${path.basename(inputPath)} -> ${path.basename(outputPath)} [${sheets.join(', ')}] (${input.encoding})`);
+        info(`- 有效记录数: ${rows}`);
+        return { ...summary, outputs: [outputPath, ...summary.outputs] };
+    }
+
+    // 工作表按文件顺序写入同一个工作簿，逐个处理
+    let results;
+    try {
+        results = await runBatch(options, { convert, outputFor: () => mergedPath, incremental: false, parallel: false });
+    } catch (error) {
+        writer.discard();
+        throw error;
+    }
+    if (options.dryRun) return results;
+
+    const { file, sheets } = await writer.finish();
+    if (file) {
+        info(`合并工作簿: ${file} (${sheets.length} 个工作表)`);
+    } else {
+        info('没有可写入的工作表，未生成合并工作簿');
+    }
+    return results;
+}
+
+function validateXlsxOptions(options) {
+    if (!splitModes.includes(options.split)) {
+        throw new Error(`不支持的拆分方式: ${options.split}`);
+    }
+    if (options.maxRows && !(parseInt(options.maxRows, 10) > 0)) {
+        throw new Error(`无效的行数上限: ${options.maxRows}`);
+    }
+}
+
+// 校验选项，返回批量转换的设置（合并模式除外）
+function batch(options) {
+    validateXlsxOptions(options);
+    if (options.indexSheet) {
+        throw new Error('--index-sheet 需要与 --merge 同时使用');
+    }
+    return { extension: '.xlsx', convert: convertCsvToExcel };
+}
+
+function run(options) {
+    if (options.merge) {
+        validateXlsxOptions(options);
+        if (options.split === 'files') {
+            throw new Error('--merge 不能与 --split files 同时使用');
+        }
+        if (options.workers || options.watch) {
+            throw new Error('--merge 不能与 --workers、--watch 同时使用');
+        }
+        if (options.summary) {
+            throw new Error('--merge 不能与 --summarize 同时使用');
+        }
+        return mergeCsvToExcel(options);
+    }
+    return runBatch(options, batch(options));
+}
+
+module.exports = {
+    name: 'xlsx',
+    description: '将 CSV 文件转换为 Excel 工作簿',
+    defaults: {
+        output: './excel_files',
+        split: 'sheets'
+    },
+    options: {
+        split: { type: 'string' },
+        'max-rows': { type: 'string' },
+        style: { type: 'string' },
+        merge: { type: 'string' },
+        'index-sheet': { type: 'boolean' }
+    },
+    help: `
+  --split <mode>         超过单表行数上限 (1048576) 时拆分为: sheets | files (默认: sheets)
+  --max-rows <n>         每个工作表的数据行数上限 (默认: 1048575)
+  --style <file>         样式文件 (JSON/YAML)：表头样式、冻结、筛选、列格式和高亮规则
+  --merge <file.xlsx>    将所有 CSV 合并到输出目录下的一个工作簿，每个文件一个工作表
+  --index-sheet          合并时在最前面添加索引工作表，列出源文件、记录数和编码`,
+    xlsxOptions,
+    logSummary,
+    validateXlsxOptions,
+    convertCsvToExcel,
+    mergeCsvToExcel,
+    batch,
+    run
+};
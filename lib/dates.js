@@ -0,0 +1,234 @@
+// 日期格式解析，格式串支持 YYYY YY MM M DD D HH H mm m ss s，其余字符按字面匹配。
+// 源时区可为 Z / UTC、+08:00 形式的固定偏移或 IANA 名称（如 Asia/Shanghai），缺省为本地时间
+
+const tokenPatterns = {
+    YYYY: { pattern: '(\\d{4})', field: 'year' },
+    YY: { pattern: '(\\d{2})', field: 'shortYear' },
+    MM: { pattern: '(\\d{2})', field: 'month' },
+    M: { pattern: '(\\d{1,2})', field: 'month' },
+    DD: { pattern: '(\\d{2})', field: 'day' },
+    D: { pattern: '(\\d{1,2})', field: 'day' },
+    HH: { pattern: '(\\d{2})', field: 'hour' },
+    H: { pattern: '(\\d{1,2})', field: 'hour' },
+    mm: { pattern: '(\\d{2})', field: 'minute' },
+    m: { pattern: '(\\d{1,2})', field: 'minute' },
+    ss: { pattern: '(\\d{2})', field: 'second' },
+    s: { pattern: '(\\d{1,2})', field: 'second' }
+};
+
+const tokenRegex = /YYYY|YY|MM|M|DD|D|HH|H|mm|m|ss|s/g;
+
+// 未指定格式时尝试的常见格式
+const defaultDateFormats = [
+    'YYYY-M-D H:m:s',
+    'YYYY-M-D H:m',
+    'YYYY-M-D',
+    'YYYY/M/D H:m:s',
+    'YYYY/M/D H:m',
+    'YYYY/M/D',
+    'YYYY年M月D日'
+];
+
+const compiledFormats = new Map();
+
+// 将格式串编译为正则表达式和字段列表
+function compileFormat(format) {
+    if (compiledFormats.has(format)) return compiledFormats.get(format);
+
+    const fields = [];
+    let source = '';
+    let lastIndex = 0;
+    format.replace(tokenRegex, (token, offset) => {
+        source += escapeRegExp(format.slice(lastIndex, offset)) + tokenPatterns[token].pattern;
+        fields.push(tokenPatterns[token].field);
+        lastIndex = offset + token.length;
+        return token;
+    });
+    source += escapeRegExp(format.slice(lastIndex));
+
+    const compiled = { regex: new RegExp(`^${source}$`), fields };
+    compiledFormats.set(format, compiled);
+    return compiled;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 按格式解析日期各字段，返回 { year, month, day, hour, minute, second, hasTime } 或 null
+function parseDateParts(value, formats = defaultDateFormats) {
+    if (typeof value !== 'string') return null;
+    const text = value.trim();
+
+    for (const format of [].concat(formats)) {
+        const { regex, fields } = compileFormat(format);
+        const match = text.match(regex);
+        if (!match) continue;
+
+        const parts = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0, hasTime: false };
+        fields.forEach((field, index) => {
+            const number = parseInt(match[index + 1], 10);
+            if (field === 'shortYear') {
+                parts.year = number + (number < 70 ? 2000 : 1900);
+            } else {
+                parts[field] = number;
+            }
+            if (field === 'hour' || field === 'minute' || field === 'second') {
+                parts.hasTime = true;
+            }
+        });
+
+        if (isValidParts(parts)) return parts;
+    }
+    return null;
+}
+
+function isValidParts({ year, month, day, hour, minute, second }) {
+    if (month < 1 || month > 12 || hour > 23 || minute > 59 || second > 59) return false;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCDate() === day && date.getUTCMonth() === month - 1;
+}
+
+const timezones = new Map();
+
+// 解析时区，返回 { name, offsetAt(毫秒) }，offsetAt 为该时刻相对 UTC 的偏移分钟数；无效时抛出异常
+function parseTimezone(timezone) {
+    if (!timezone) return null;
+    if (typeof timezone.offsetAt === 'function') return timezone;
+    const name = String(timezone).trim();
+    if (timezones.has(name)) return timezones.get(name);
+
+    let zone;
+    const match = name.match(/^([+-])(\d{2}):?(\d{2})?$/);
+    if (/^(z|utc|gmt)$/i.test(name)) {
+        zone = { name, offsetAt: () => 0 };
+    } else if (match) {
+        const minutes = (match[1] === '-' ? -1 : 1) * (parseInt(match[2], 10) * 60 + parseInt(match[3] || '0', 10));
+        if (Math.abs(minutes) > 14 * 60) throw new Error(`无效的时区: ${name}`);
+        zone = { name, offsetAt: () => minutes };
+    } else {
+        let formatter;
+        try {
+            formatter = new Intl.DateTimeFormat('en-US', {
+                timeZone: name,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            });
+        } catch (error) {
+            throw new Error(`无效的时区: ${name}`);
+        }
+        zone = {
+            name,
+            offsetAt: time => {
+                const fields = {};
+                formatter.formatToParts(new Date(time)).forEach(({ type, value }) => {
+                    fields[type] = parseInt(value, 10);
+                });
+                const wall = Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second);
+                return Math.round((wall - Math.floor(time / 1000) * 1000) / 60000);
+            }
+        };
+    }
+    timezones.set(name, zone);
+    return zone;
+}
+
+/**
+ * 解析得到的日期：hasTime 表示是否含时间，offset 为源时区的偏移分钟数（null 表示本地时间）。
+ * 转为 JSON 时输出 ISO 8601：只有日期时为 2017-05-04，有时间时为 2017-05-04T08:30:00+08:00
+ */
+class DateValue extends Date {
+    constructor(time, { hasTime = true, offset = null } = {}) {
+        super(time);
+        this.hasTime = hasTime;
+        this.offset = offset;
+    }
+
+    toJSON() {
+        return formatIsoDate(dateToParts(this), this.offset);
+    }
+}
+
+// 日期字段按时区转为 DateValue，夏令时切换时按切换后的偏移计算
+function createDate(parts, timezone = null) {
+    const { year, month, day, hour = 0, minute = 0, second = 0, hasTime = false } = parts;
+    const zone = parseTimezone(timezone);
+    if (!zone) {
+        return new DateValue(new Date(year, month - 1, day, hour, minute, second).getTime(), { hasTime });
+    }
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    const offset = zone.offsetAt(wall - zone.offsetAt(wall) * 60000);
+    return new DateValue(wall - offset * 60000, { hasTime, offset });
+}
+
+// 按格式解析为 DateValue，timezone 为源时区，缺省为本地时间；无法解析时返回 null
+function parseDate(value, formats = defaultDateFormats, timezone = null) {
+    const parts = parseDateParts(value, formats || defaultDateFormats);
+    return parts ? createDate(parts, timezone) : null;
+}
+
+function pad(number, length = 2) {
+    return String(number).padStart(length, '0');
+}
+
+// 日期字段格式化为 YYYY-MM-DD，有时间时为 YYYY-MM-DD HH:mm:ss
+function formatDateParts({ year, month, day, hour = 0, minute = 0, second = 0, hasTime }) {
+    const date = `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+    return hasTime ? `${date} ${pad(hour)}:${pad(minute)}:${pad(second)}` : date;
+}
+
+// ISO 8601：只有日期时为 YYYY-MM-DD，有时间时为 YYYY-MM-DDTHH:mm:ss，offset 为偏移分钟数时加 Z 或 ±HH:mm
+function formatIsoDate(parts, offset = null) {
+    const text = formatDateParts(parts).replace(' ', 'T');
+    if (!parts.hasTime || offset === null) return text;
+    if (offset === 0) return `${text}Z`;
+    const minutes = Math.abs(offset);
+    return `${text}${offset < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}:${pad(minutes % 60)}`;
+}
+
+// Date 转为日期字段：DateValue 按源时区，其余按 timezone，缺省为本地时间；没有 hasTime 时时分秒均为 0 视为只有日期
+function dateToParts(date, timezone = null) {
+    const zone = typeof date.offset === 'number' ? null : parseTimezone(timezone);
+    const offset = zone ? zone.offsetAt(date.getTime()) : date.offset;
+    const zoned = typeof offset === 'number';
+    const shifted = zoned ? new Date(date.getTime() + offset * 60000) : date;
+    const parts = zoned
+        ? {
+            year: shifted.getUTCFullYear(),
+            month: shifted.getUTCMonth() + 1,
+            day: shifted.getUTCDate(),
+            hour: shifted.getUTCHours(),
+            minute: shifted.getUTCMinutes(),
+            second: shifted.getUTCSeconds()
+        }
+        : {
+            year: date.getFullYear(),
+            month: date.getMonth() + 1,
+            day: date.getDate(),
+            hour: date.getHours(),
+            minute: date.getMinutes(),
+            second: date.getSeconds()
+        };
+    parts.hasTime = typeof date.hasTime === 'boolean'
+        ? date.hasTime
+        : parts.hour !== 0 || parts.minute !== 0 || parts.second !== 0;
+    return parts;
+}
+
+module.exports = {
+    defaultDateFormats,
+    DateValue,
+    compileFormat,
+    parseDateParts,
+    parseTimezone,
+    createDate,
+    parseDate,
+    formatDateParts,
+    formatIsoDate,
+    dateToParts
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const { compare } = require('./where');
+const { splitList } = require('./columns');
+
+// 去重：按键列或整行内容识别重复记录，每个键只保留一条。
+// 批量处理时先预读所有文件确定每个键保留哪一条，因此在整个批次的所有文件间生效，与处理顺序和并发无关；
+// 单独读取一个记录流而没有预读时，只能保留第一条
+
+const keepPolicies = ['first', 'last', 'latest'];
+
+// 以 * 作为键时按整行去重
+const ROW_KEY = '*';
+
+// 每个文件最多列出的被删除记录，超出部分只计数
+const MAX_LISTED_DUPLICATES = 1000;
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+/**
+ * 编译去重设置 { by, keep, latestBy }：by 为键列或 *（整行），keep 为 first / last / latest，
+ * latest 时保留 latestBy 列最大（最新）的一条，相同时保留后出现的。
+ * 返回 { by, keep, latestBy, open(file), scanner(), size() }，open 返回单个文件的
+ * { check(record, line), removed, count() }，check 返回 false 表示该记录是重复的。
+ */
+function compileDedup(spec) {
+    if (!spec) return null;
+    if (typeof spec.open === 'function') return spec;
+
+    const by = String(spec.by || '').trim() === ROW_KEY ? null : splitList(spec.by);
+    if (by && by.length === 0) {
+        throw new Error('--dedup 需要指定键列，或以 * 表示按整行去重');
+    }
+    const keep = spec.keep || (spec.latestBy ? 'latest' : 'first');
+    if (!keepPolicies.includes(keep)) {
+        throw new Error(`不支持的去重保留方式: ${keep}，可选: ${keepPolicies.join(' | ')}`);
+    }
+    if (keep === 'latest' && !spec.latestBy) {
+        throw new Error('--keep latest 需要 --latest-by 指定比较的列');
+    }
+    if (spec.latestBy && keep !== 'latest') {
+        throw new Error('--latest-by 只能与 --keep latest 同时使用');
+    }
+    const latestBy = keep === 'latest' ? spec.latestBy : null;
+    const winners = new Map(); // 键 -> { file, line, value }
+
+    // 键列的取值；任一键列为空时返回 null，该记录不参与去重。整行时为内容的哈希
+    function keyOf(record) {
+        if (!by) {
+            const entries = Object.keys(record).sort().map(column => [column, record[column]]);
+            return crypto.createHash('sha1').update(JSON.stringify(entries)).digest('base64');
+        }
+        const values = by.map(column => record[column]);
+        return values.some(isMissing) ? null : JSON.stringify(values);
+    }
+
+    // 是否用后读到的记录替换已保留的记录
+    function prefer(candidate, current) {
+        if (keep === 'first') return false;
+        if (keep === 'last') return true;
+        if (isMissing(candidate.value)) return isMissing(current.value);
+        if (isMissing(current.value)) return true;
+        return compare(candidate.value, current.value) >= 0;
+    }
+
+    function open(file, { scan = false } = {}) {
+        const removed = [];
+        let count = 0;
+        let checked = false;
+
+        function check(record, line) {
+            if (!checked) {
+                [...(by || []), latestBy].filter(Boolean).filter(column => !(column in record)).forEach(column => {
+                    throw new Error(`去重引用的列 ${column} 不存在`);
+                });
+                checked = true;
+            }
+            const key = keyOf(record);
+            if (key === null) return true;
+
+            const here = { file, line, value: latestBy ? record[latestBy] : undefined };
+            const winner = winners.get(key);
+            const isWinner = winner && winner.file === file && winner.line === line;
+            if (!winner || (scan && !isWinner && prefer(here, winner))) {
+                winners.set(key, here);
+                return true;
+            }
+            if (isWinner || scan) return true;
+
+            count++;
+            if (removed.length < MAX_LISTED_DUPLICATES) {
+                removed.push({
+                    line,
+                    key: by ? Object.fromEntries(by.map(column => [column, record[column]])) : key,
+                    kept: { file: winner.file, line: winner.line }
+                });
+            }
+            return false;
+        }
+
+        return { check, removed, count: () => count };
+    }
+
+    return {
+        by,
+        keep,
+        latestBy,
+        open,
+        // 预读时使用：只记录每个键应保留的记录，不删除任何记录
+        scanner: () => ({ open: file => open(file, { scan: true }) }),
+        size: () => winners.size
+    };
+}
+
+module.exports = {
+    keepPolicies,
+    ROW_KEY,
+    MAX_LISTED_DUPLICATES,
+    compileDedup
+};
@@ -0,0 +1,183 @@
+// CSV 方言探测：根据样本推断分隔符、引号、转义符、是否有表头和换行符
+
+const candidateDelimiters = [',', ';', '\t', '|'];
+const candidateQuotes = ['"', '\''];
+
+// 参与探测的最大行数
+const MAX_SNIFF_LINES = 200;
+
+// 按引号规则把样本切分为行，每行再切分为字段
+function splitRows(text, delimiter, quote, maxLines = MAX_SNIFF_LINES) {
+    const rows = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length && rows.length < maxLines; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === quote && text[i + 1] === quote) {
+                field += char;
+                i++;
+            } else if (char === quote) {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === quote && field === '') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            fields.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            fields.push(field);
+            if (fields.length > 1 || fields[0] !== '') rows.push(fields);
+            fields = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    // 样本已截断到完整行，末尾没有换行符的行也是完整的
+    if (rows.length < maxLines && (field !== '' || fields.length > 0) && !inQuotes) {
+        fields.push(field);
+        rows.push(fields);
+    }
+    return rows;
+}
+
+// 求众数及其占比
+function mode(values) {
+    const counts = new Map();
+    values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+    let best = null;
+    let bestCount = 0;
+    counts.forEach((count, value) => {
+        if (count > bestCount || (count === bestCount && value > best)) {
+            best = value;
+            bestCount = count;
+        }
+    });
+    return { value: best, ratio: values.length > 0 ? bestCount / values.length : 0 };
+}
+
+// 推断引号字符：统计紧邻分隔符或行首的引号
+function sniffQuote(text, delimiter) {
+    const escapedDelimiter = delimiter.replace(/[|\\]/g, '\\$&');
+    let best = '"';
+    let bestCount = 0;
+    candidateQuotes.forEach(quote => {
+        const pattern = new RegExp(`(^|${escapedDelimiter}|\\n)${quote}|${quote}(${escapedDelimiter}|\\r?\\n|$)`, 'g');
+        const count = (text.match(pattern) || []).length;
+        if (count > bestCount) {
+            best = quote;
+            bestCount = count;
+        }
+    });
+    return best;
+}
+
+// 推断转义符：引号内出现反斜杠转义时为 \，否则与引号相同（双写）
+function sniffEscape(text, quote) {
+    const backslashEscapes = text.split(`\\${quote}`).length - 1;
+    // 字段内部的双写引号，排除空字段 ""
+    const doubledQuotes = (text.match(new RegExp(`[^\\s,;|\t]${quote}${quote}[^\\s,;|\t]`, 'g')) || []).length;
+    return backslashEscapes > doubledQuotes ? '\\' : quote;
+}
+
+// 推断换行符
+function sniffLineEnding(text) {
+    const crlf = (text.match(/\r\n/g) || []).length;
+    const lf = (text.match(/\n/g) || []).length - crlf;
+    const cr = (text.match(/\r/g) || []).length - crlf;
+    if (crlf >= lf && crlf >= cr && crlf > 0) return '\r\n';
+    if (cr > lf) return '\r';
+    return '\n';
+}
+
+function valueKind(value) {
+    const text = value.trim();
+    if (text === '') return 'empty';
+    if (/^[-+]?\d*\.?\d+(e[-+]?\d+)?$/i.test(text)) return 'number';
+    if (/^\d{4}[-/.年]\d{1,2}[-/.月]\d{1,2}/.test(text)) return 'date';
+    return 'text';
+}
+
+// 推断第一行是否为表头
+function sniffHeader(rows) {
+    if (rows.length < 2) return true;
+    const [first, ...data] = rows;
+
+    // 表头取值应互不相同且非空
+    if (first.some(value => value.trim() === '') || new Set(first).size !== first.length) {
+        return false;
+    }
+
+    let headerVotes = 0;
+    let dataVotes = 0;
+    first.forEach((value, index) => {
+        const firstKind = valueKind(value);
+        const columnKind = mode(data.map(row => valueKind(row[index] || ''))).value;
+        if (columnKind === 'number' || columnKind === 'date') {
+            if (firstKind === columnKind) dataVotes++;
+            else headerVotes++;
+        } else if (firstKind === 'number' || firstKind === 'date') {
+            dataVotes++;
+        }
+    });
+    return headerVotes >= dataVotes;
+}
+
+// 探测样本文本的 CSV 方言
+function sniffDialect(text) {
+    const results = candidateDelimiters.map(delimiter => {
+        const quote = sniffQuote(text, delimiter);
+        const rows = splitRows(text, delimiter, quote);
+        const { value: fieldCount, ratio } = mode(rows.map(row => row.length));
+        // 只有一列时该分隔符没有意义
+        const score = fieldCount > 1 ? ratio : 0;
+        return { delimiter, quote, rows, fieldCount, score };
+    }).sort((a, b) => b.score - a.score || b.fieldCount - a.fieldCount);
+
+    const [best, runnerUp] = results;
+    if (best.score === 0) {
+        return {
+            delimiter: ',',
+            quote: '"',
+            escape: '"',
+            header: true,
+            lineEnding: sniffLineEnding(text),
+            fieldCount: 1,
+            confidence: 0
+        };
+    }
+
+    // 次优候选与最优候选同样一致时降低置信度
+    let confidence = best.score;
+    if (runnerUp && runnerUp.score > 0) {
+        confidence *= 1 - runnerUp.score / (2 * best.score);
+    }
+
+    return {
+        delimiter: best.delimiter,
+        quote: best.quote,
+        escape: sniffEscape(text, best.quote),
+        header: sniffHeader(best.rows),
+        lineEnding: sniffLineEnding(text),
+        fieldCount: best.fieldCount,
+        confidence: Math.round(confidence * 100) / 100
+    };
+}
+
+// 显示用的字符名称
+function describeChar(char) {
+    return { '\t': '\\t', '\r\n': '\\r\\n', '\n': '\\n', '\r': '\\r' }[char] || char;
+}
+
+module.exports = {
+    candidateDelimiters,
+    splitRows,
+    sniffDialect,
+    describeChar
+};
@@ -0,0 +1,168 @@
+const path = require('path');
+const jschardet = require('jschardet');
+const iconv = require('iconv-lite');
+const { globToRegExp } = require('./files');
+
+// 编码名称标准化映射
+const encodingMap = {
+    'ascii': 'utf8',
+    'utf-8': 'utf8',
+    'utf-16le': 'utf16le',
+    'utf-16be': 'utf16be',
+    'gb2312': 'gb18030', // GB2312/GBK 均为 GB18030 的子集
+    'shift-jis': 'shift_jis',
+    'sjis': 'shift_jis',
+    'windows-1252': 'cp1252',
+    'iso-8859-1': 'latin1'
+};
+
+// 非 UTF 编码的候选列表，评分相同时按此顺序优先
+const candidateEncodings = ['gb18030', 'big5', 'shift_jis', 'euc-kr'];
+
+// 决策来源的显示名称
+const decisionSources = {
+    override: '指定',
+    bom: 'BOM',
+    utf16: 'UTF-16 特征',
+    utf8: 'UTF-8 校验',
+    scored: '候选评分'
+};
+
+// 标准化用户传入或检测到的编码名称
+function normalizeEncoding(encoding) {
+    const name = String(encoding || '').toLowerCase();
+    return encodingMap[name] || name;
+}
+
+// 检测 BOM 标记
+function detectBom(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) return 'utf8';
+    if (buffer.length >= 4 && buffer[0] === 0x84 && buffer[1] === 0x31 && buffer[2] === 0x95 && buffer[3] === 0x33) return 'gb18030';
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) return 'utf16le';
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) return 'utf16be';
+    return null;
+}
+
+// 无 BOM 的 UTF-16：ASCII 字符的高位字节为 0，集中出现在奇数或偶数位置
+function detectUtf16(buffer) {
+    const pairs = Math.floor(buffer.length / 2);
+    if (pairs < 2) return null;
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i + 1 < buffer.length; i += 2) {
+        if (buffer[i] === 0) evenZeros++;
+        if (buffer[i + 1] === 0) oddZeros++;
+    }
+    if (oddZeros / pairs > 0.2 && oddZeros > evenZeros * 4) return 'utf16le';
+    if (evenZeros / pairs > 0.2 && evenZeros > oddZeros * 4) return 'utf16be';
+    return null;
+}
+
+// 是否为合法的 UTF-8（含纯 ASCII）
+function isValidUtf8(buffer) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+// 解码后异常字符的比例：替换字符、控制字符和私用区字符（GB18030 对未分配码位的映射）
+function badCharRate(text) {
+    if (text.length === 0) return 0;
+    const bad = text.match(/[\uFFFD\u0000-\u0008\u000B\u000C\u000E-\u001F\uE000-\uF8FF]/g);
+    return bad ? bad.length / text.length : 0;
+}
+
+// 对候选编码评分：异常字符比例最低者胜出，比例相同时参考 jschardet 的结果
+function scoreCandidates(buffer) {
+    const hint = jschardet.detect(buffer);
+    const hintEncoding = hint && hint.encoding ? normalizeEncoding(hint.encoding) : null;
+    const candidates = hintEncoding && !candidateEncodings.includes(hintEncoding) && iconv.encodingExists(hintEncoding)
+        ? [...candidateEncodings, hintEncoding]
+        : candidateEncodings;
+
+    const scored = candidates.map((encoding, order) => ({
+        encoding,
+        badRate: badCharRate(iconv.decode(buffer, encoding)),
+        hinted: encoding === hintEncoding,
+        order
+    })).sort((a, b) => a.badRate - b.badRate
+        || (b.hinted - a.hinted)
+        || a.order - b.order);
+
+    const [best, runnerUp] = scored;
+    let confidence = 1 - best.badRate;
+    if (runnerUp && runnerUp.badRate === best.badRate) {
+        // 与次优候选无法区分时，以 jschardet 的置信度为准
+        confidence = best.hinted ? Math.min(confidence, hint.confidence) : confidence * 0.5;
+    }
+
+    return {
+        encoding: best.encoding,
+        confidence: Math.round(confidence * 100) / 100,
+        candidates: scored.map(({ encoding, badRate }) => ({ encoding, badRate: Math.round(badRate * 10000) / 10000 }))
+    };
+}
+
+// 检测缓冲区编码，返回 { encoding, source, confidence, candidates }
+function detectEncodingDetails(buffer) {
+    const bom = detectBom(buffer);
+    if (bom) return { encoding: bom, source: 'bom', confidence: 1, candidates: [] };
+
+    const utf16 = detectUtf16(buffer);
+    if (utf16) return { encoding: utf16, source: 'utf16', confidence: 0.9, candidates: [] };
+
+    if (isValidUtf8(buffer)) return { encoding: 'utf8', source: 'utf8', confidence: 1, candidates: [] };
+
+    return { ...scoreCandidates(buffer), source: 'scored' };
+}
+
+// 检测缓冲区编码
+function detectEncoding(buffer) {
+    return detectEncodingDetails(buffer).encoding;
+}
+
+// 解析 "<glob>=<编码>" 形式的按文件指定编码
+function parseEncodingOverrides(values = []) {
+    return [].concat(values).map(value => {
+        const index = value.lastIndexOf('=');
+        if (index <= 0) {
+            throw new Error(`无效的编码覆盖 ${value}，格式应为 <glob>=<编码>`);
+        }
+        const encoding = normalizeEncoding(value.slice(index + 1).trim());
+        if (!iconv.encodingExists(encoding)) {
+            throw new Error(`不支持的编码: ${encoding}`);
+        }
+        return { pattern: value.slice(0, index).trim(), encoding };
+    });
+}
+
+// 确定文件的编码：按文件覆盖 > 全局指定 > 自动检测
+function resolveEncoding(sample, opts = {}, filePath = null) {
+    if (filePath && opts.encodingOverrides) {
+        const override = opts.encodingOverrides.find(({ pattern }) => {
+            const regex = globToRegExp(pattern);
+            return regex.test(path.basename(filePath)) || regex.test(filePath);
+        });
+        if (override) {
+            return { encoding: override.encoding, source: 'override', confidence: 1, candidates: [], pattern: override.pattern };
+        }
+    }
+    if (opts.encoding && opts.encoding !== 'auto') {
+        return { encoding: normalizeEncoding(opts.encoding), source: 'override', confidence: 1, candidates: [] };
+    }
+    return detectEncodingDetails(sample);
+}
+
+module.exports = {
+    candidateEncodings,
+    decisionSources,
+    normalizeEncoding,
+    detectBom,
+    detectEncodingDetails,
+    detectEncoding,
+    parseEncodingOverrides,
+    resolveEncoding
+};
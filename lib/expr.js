@@ -0,0 +1,261 @@
+const { toNumber } = require('./where');
+const { parseDateParts, formatDateParts, dateToParts } = require('./dates');
+
+// 计算列表达式，例如:
+//   visit_year = year(就诊日期)
+//   age_band = band(年龄, 10, 90)
+//   label = concat(就诊科室, '-', upper(就诊类型))
+//   bmi = round(体重 / (身高 / 100) / (身高 / 100), 1)
+// 含空格或 + - * / 等符号的列名用反引号括起，字符串用单引号或双引号
+
+class ExprSyntaxError extends Error {
+    constructor(message, position) {
+        super(`计算列表达式语法错误 (位置 ${position + 1}): ${message}`);
+        this.name = 'ExprSyntaxError';
+        this.position = position;
+    }
+}
+
+// 词法分析
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        const start = i;
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if ('(),+-*/'.includes(char)) {
+            tokens.push({ type: char, position: start });
+            i++;
+        } else if (char === '\'' || char === '"' || char === '`') {
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== char) {
+                if (text[i] === '\\' && i + 1 < text.length) i++;
+                value += text[i++];
+            }
+            if (i >= text.length) throw new ExprSyntaxError('字符串未闭合', start);
+            i++;
+            tokens.push({ type: char === '`' ? 'word' : 'string', value, quoted: true, position: start });
+        } else {
+            while (i < text.length && !/[\s(),+\-*/'"`]/.test(text[i])) i++;
+            const value = text.slice(start, i);
+            tokens.push(/^\d*\.?\d+$/.test(value)
+                ? { type: 'number', value: Number(value), position: start }
+                : { type: 'word', value, position: start });
+        }
+    }
+
+    tokens.push({ type: 'end', position: text.length });
+    return tokens;
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function toText(value) {
+    if (isMissing(value)) return '';
+    if (value instanceof Date) return formatDateParts(dateToParts(value));
+    return String(value);
+}
+
+// 日期字段：字符串按 dateFormats 解析，没有源时区的 Date 按 timezone 取年月日
+function toParts(value, { dateFormats, timezone } = {}) {
+    if (value instanceof Date) return dateToParts(value, timezone);
+    return parseDateParts(String(value).trim(), dateFormats);
+}
+
+// 数值分段：size 为 10 时 37 -> 30-39，不低于 max 时为 max+；无法解析时返回 null
+function bandLabel(value, size = 10, max) {
+    const number = toNumber(value);
+    if (number === null || !(size > 0)) return null;
+    if (max !== undefined && max !== null && number >= Number(max)) return `${max}+`;
+    const lower = Math.floor(number / size) * size;
+    return size === 1 ? String(lower) : `${lower}-${lower + size - 1}`;
+}
+
+// 与日期无关的函数
+const textFunctions = {
+    upper: [1, 1, value => toText(value).toUpperCase()],
+    lower: [1, 1, value => toText(value).toLowerCase()],
+    trim: [1, 1, value => toText(value).trim()],
+    len: [1, 1, value => [...toText(value)].length],
+    // start 从 1 开始
+    substr: [2, 3, (value, start, length) => {
+        const chars = [...toText(value)];
+        const from = Math.max((toNumber(start) || 1) - 1, 0);
+        return chars.slice(from, length === undefined ? undefined : from + (toNumber(length) || 0)).join('');
+    }],
+    number: [1, 1, value => toNumber(typeof value === 'string' ? value.trim() : value)],
+    round: [1, 2, (value, digits) => {
+        const number = toNumber(value);
+        if (number === null) return null;
+        const factor = 10 ** (toNumber(digits) || 0);
+        return Math.round(number * factor) / factor;
+    }],
+    band: [2, 3, (value, size, max) => bandLabel(value, toNumber(size), max)],
+    concat: [1, Infinity, (...values) => values.map(toText).join('')],
+    coalesce: [1, Infinity, (...values) => {
+        const found = values.find(value => !isMissing(value));
+        return found === undefined ? null : found;
+    }]
+};
+
+// 函数表: [最少参数个数, 最多参数个数, 实现]；除 concat、coalesce 外，首个参数为空时结果为空。
+// 日期函数按 dateOptions.dateFormats 解析字符串、按 dateOptions.timezone 取日期的年月日
+function createFunctions(dateOptions = {}) {
+    const parts = value => toParts(value, dateOptions);
+    return {
+        year: [1, 1, value => (parts(value) || {}).year],
+        month: [1, 1, value => (parts(value) || {}).month],
+        day: [1, 1, value => (parts(value) || {}).day],
+        date: [1, 1, value => {
+            const found = parts(value);
+            return found ? formatDateParts({ ...found, hasTime: false }) : null;
+        }],
+        ...textFunctions
+    };
+}
+
+const functions = createFunctions();
+const propagatesMissing = name => !['concat', 'coalesce'].includes(name);
+
+// 四则运算，任一操作数不是数字或除数为 0 时结果为空
+function arithmetic(op, left, right) {
+    return record => {
+        const a = toNumber(left(record));
+        const b = toNumber(right(record));
+        if (a === null || b === null) return null;
+        if (op === '+') return a + b;
+        if (op === '-') return a - b;
+        if (op === '*') return a * b;
+        return b === 0 ? null : a / b;
+    };
+}
+
+// 语法分析，返回 { evaluate, columns }
+function parseTokens(tokens, table = functions) {
+    let index = 0;
+    const columns = new Set();
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+
+    function expect(type) {
+        const token = next();
+        if (token.type !== type) throw new ExprSyntaxError(`应为 ${type}`, token.position);
+        return token;
+    }
+
+    function parseSum() {
+        let left = parseProduct();
+        while (peek().type === '+' || peek().type === '-') {
+            const op = next().type;
+            left = arithmetic(op, left, parseProduct());
+        }
+        return left;
+    }
+
+    function parseProduct() {
+        let left = parseUnary();
+        while (peek().type === '*' || peek().type === '/') {
+            const op = next().type;
+            left = arithmetic(op, left, parseUnary());
+        }
+        return left;
+    }
+
+    function parseUnary() {
+        if (peek().type === '-') {
+            next();
+            const operand = parseUnary();
+            return arithmetic('-', () => 0, operand);
+        }
+        return parsePrimary();
+    }
+
+    function parseCall(token) {
+        const definition = table[token.value.toLowerCase()];
+        if (!definition) throw new ExprSyntaxError(`未知函数 ${token.value}`, token.position);
+        const [min, max, fn] = definition;
+        expect('(');
+        const args = [];
+        if (peek().type !== ')') {
+            args.push(parseSum());
+            while (peek().type === ',') {
+                next();
+                args.push(parseSum());
+            }
+        }
+        expect(')');
+        if (args.length < min || args.length > max) {
+            const count = min === max ? min : `${min} 到 ${max === Infinity ? '任意' : max}`;
+            throw new ExprSyntaxError(`函数 ${token.value} 需要 ${count} 个参数`, token.position);
+        }
+        const checkMissing = propagatesMissing(token.value.toLowerCase());
+        return record => {
+            const values = args.map(arg => arg(record));
+            if (checkMissing && isMissing(values[0])) return null;
+            const result = fn(...values);
+            return result === undefined ? null : result;
+        };
+    }
+
+    function parsePrimary() {
+        const token = next();
+        if (token.type === 'number' || token.type === 'string') {
+            return () => token.value;
+        }
+        if (token.type === '(') {
+            const inner = parseSum();
+            expect(')');
+            return inner;
+        }
+        if (token.type === 'word') {
+            if (peek().type === '(' && !token.quoted) {
+                return parseCall(token);
+            }
+            columns.add(token.value);
+            return record => record[token.value];
+        }
+        throw new ExprSyntaxError(token.type === 'end' ? '表达式不完整' : `意外的 ${token.type}`, token.position);
+    }
+
+    const evaluate = parseSum();
+    if (peek().type !== 'end') {
+        throw new ExprSyntaxError('表达式多余的内容', peek().position);
+    }
+    return { evaluate, columns: [...columns] };
+}
+
+// 编译表达式，返回 { evaluate(record), columns }，columns 为引用的列名；offset 为错误位置的偏移，
+// dateOptions 为日期函数使用的 { dateFormats, timezone }
+function compileExpression(expression, offset = 0, dateOptions = null) {
+    try {
+        return parseTokens(tokenize(String(expression)), dateOptions ? createFunctions(dateOptions) : functions);
+    } catch (error) {
+        if (!(error instanceof ExprSyntaxError) || offset === 0) throw error;
+        throw new ExprSyntaxError(error.message.replace(/^.*?\): /, ''), error.position + offset);
+    }
+}
+
+// 解析 "name = expression" 形式的计算列定义，返回 { name, evaluate, columns }；dateOptions 同 compileExpression
+function compileAssignment(text, dateOptions = null) {
+    const match = String(text).match(/^\s*(`[^`]+`|[^=\s]+)\s*=(?!=)([\s\S]+)$/);
+    if (!match) {
+        throw new ExprSyntaxError(`无效的计算列定义 "${text}"，应为 列名 = 表达式`, 0);
+    }
+    const name = match[1].replace(/^`|`$/g, '');
+    return { name, ...compileExpression(match[2], String(text).length - match[2].length, dateOptions) };
+}
+
+module.exports = {
+    ExprSyntaxError,
+    functions,
+    bandLabel,
+    compileExpression,
+    compileAssignment
+};
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const { MANIFEST_FILE } = require('./manifest');
+const { REPORT_FILE } = require('./report');
+const { info } = require('./log');
+
+// 将简单的 glob 模式（* ? ** {a,b}）转换为正则表达式
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                source += '.*';
+                i++;
+                if (pattern[i + 1] === '/') i++;
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            const end = pattern.indexOf('}', i);
+            if (end === -1) {
+                source += '\\{';
+            } else {
+                const options = pattern.slice(i + 1, end).split(',');
+                source += `(?:${options.map(escapeRegExp).join('|')})`;
+                i = end;
+            }
+        } else {
+            source += escapeRegExp(char);
+        }
+    }
+    return new RegExp(`^${source}$`, 'i');
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 判断文件名是否匹配任一模式
+function matchesAny(fileName, patterns) {
+    return patterns.some(pattern => globToRegExp(pattern).test(fileName));
+}
+
+// 判断相对路径（以 / 分隔）是否匹配任一模式：含 / 的模式匹配整个相对路径，其余只匹配文件名
+function matchesPath(relativePath, patterns) {
+    const fileName = path.posix.basename(relativePath);
+    return patterns.some(pattern => globToRegExp(pattern).test(pattern.includes('/') ? relativePath : fileName));
+}
+
+// 列出输入路径下符合 include/exclude 模式的文件；recursive 时遍历子目录，skip 中的目录不进入
+function listInputFiles(inputPath, { include = ['*.csv'], exclude = [], recursive = false, skip = [] } = {}) {
+    if (!fs.existsSync(inputPath)) {
+        throw new Error(`输入路径不存在: ${inputPath}`);
+    }
+
+    if (fs.statSync(inputPath).isFile()) {
+        return [inputPath];
+    }
+
+    const skipped = new Set(skip.map(dir => path.resolve(dir)));
+    const files = [];
+    const walk = dir => {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            const filePath = path.join(dir, entry.name);
+            if (entry.isDirectory()) {
+                if (recursive && !skipped.has(path.resolve(filePath))) walk(filePath);
+                return;
+            }
+            if ([MANIFEST_FILE, REPORT_FILE].includes(entry.name) || !fs.statSync(filePath).isFile()) return;
+            const relativePath = path.relative(inputPath, filePath).split(path.sep).join('/');
+            if (matchesPath(relativePath, include) && !matchesPath(relativePath, exclude)) {
+                files.push(filePath);
+            }
+        });
+    };
+    walk(inputPath);
+    return files.sort();
+}
+
+// 按命令行选项列出输入文件；递归时不进入输出、归档和错误目录
+function inputFilesFor(options) {
+    return listInputFiles(options.input, {
+        include: options.include,
+        exclude: options.exclude,
+        recursive: options.recursive,
+        skip: [options.output, options.archive, options.errorDir].filter(Boolean)
+    });
+}
+
+// 文件相对输入目录所在的子目录，输入为单个文件时为 .
+function relativeDir(filePath, inputRoot) {
+    return path.dirname(path.relative(inputRoot, filePath)) || '.';
+}
+
+// 去掉扩展名（含 .gz）的文件名，例如 2017/a.csv.gz -> a
+function inputBaseName(filePath) {
+    const name = path.basename(filePath).replace(/\.gz$/i, '');
+    return path.basename(name, path.extname(name));
+}
+
+// 清空目录中的文件，包括各级子目录，清空后删除空的子目录；skip 中的文件和目录（如位于输出目录中的
+// 归档目录、与输出目录相同的输入目录中的源文件）保留
+function cleanDirectory(dirPath, skip = []) {
+    if (!fs.existsSync(dirPath)) return;
+    const kept = new Set(skip.map(item => path.resolve(item)));
+    const clean = dir => {
+        fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+            const entryPath = path.join(dir, entry.name);
+            if (kept.has(path.resolve(entryPath))) return;
+            if (entry.isDirectory()) {
+                clean(entryPath);
+                if (fs.readdirSync(entryPath).length === 0) fs.rmdirSync(entryPath);
+            } else {
+                fs.unlinkSync(entryPath);
+            }
+        });
+    };
+    clean(dirPath);
+    info(`已清空输出目录: ${dirPath}`);
+}
+
+// 确保目录存在，可选清空，skip 见 cleanDirectory
+function ensureDir(dirPath, clean = false, skip = []) {
+    if (!fs.existsSync(dirPath)) {
+        fs.mkdirSync(dirPath, { recursive: true });
+        info(`已创建输出目录: ${dirPath}`);
+    } else if (clean) {
+        cleanDirectory(dirPath, skip);
+    }
+}
+
+// 把文件移入目录，重名时在文件名后追加时间戳；跨磁盘时复制后删除，返回新路径
+function moveFile(filePath, targetDir) {
+    fs.mkdirSync(targetDir, { recursive: true });
+    const ext = path.extname(filePath);
+    const baseName = path.basename(filePath, ext);
+    let target = path.join(targetDir, `${baseName}${ext}`);
+    if (fs.existsSync(target)) {
+        const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+        target = path.join(targetDir, `${baseName}.${stamp}${ext}`);
+        for (let n = 2; fs.existsSync(target); n++) {
+            target = path.join(targetDir, `${baseName}.${stamp}_${n}${ext}`);
+        }
+    }
+    try {
+        fs.renameSync(filePath, target);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        fs.copyFileSync(filePath, target);
+        fs.unlinkSync(filePath);
+    }
+    return target;
+}
+
+// 同一目录中去掉扩展名后重名的输入文件，例如 a.csv、a.tsv 与 a.csv.gz
+function clashingInputs(files) {
+    const groups = new Map();
+    new Set(files).forEach(file => {
+        const key = path.join(path.dirname(file), inputBaseName(file)).toLowerCase();
+        groups.set(key, (groups.get(key) || []).concat(file));
+    });
+    return new Set([...groups.values()].filter(group => group.length > 1).flat());
+}
+
+// 根据输入文件计算输出路径；指定 inputRoot 时在输出目录中保持相对的子目录结构。
+// clashing 为 clashingInputs 的结果，其中的文件保留源扩展名以免输出互相覆盖，例如 a.csv.gz -> a.csv.gz.json
+function outputPathFor(inputFile, outputDir, extension, inputRoot = null, clashing = null) {
+    const subDir = inputRoot ? relativeDir(inputFile, inputRoot) : '.';
+    const name = clashing && clashing.has(inputFile) ? path.basename(inputFile) : inputBaseName(inputFile);
+    return path.join(outputDir, subDir, `${name}${extension}`);
+}
+
+// 输出文件旁的临时文件，与输出在同一目录，改名不跨文件系统
+function tempPathFor(outputPath) {
+    return path.join(path.dirname(outputPath), `.${path.basename(outputPath)}.${process.pid}.tmp`);
+}
+
+// 先由 write(tempPath) 写入临时文件，成功后改名为 outputPath，失败时删除临时文件，
+// 不留下不完整的输出，已有的输出保持不变；返回 write 的结果
+async function writeAtomic(outputPath, write) {
+    const tempPath = tempPathFor(outputPath);
+    try {
+        const result = await write(tempPath);
+        fs.renameSync(tempPath, outputPath);
+        return result;
+    } catch (error) {
+        fs.rmSync(tempPath, { force: true });
+        throw error;
+    }
+}
+
+module.exports = {
+    globToRegExp,
+    matchesAny,
+    matchesPath,
+    listInputFiles,
+    inputFilesFor,
+    relativeDir,
+    inputBaseName,
+    cleanDirectory,
+    ensureDir,
+    moveFile,
+    clashingInputs,
+    outputPathFor,
+    tempPathFor,
+    writeAtomic
+};
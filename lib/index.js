@@ -0,0 +1,330 @@
+const { detectEncoding, detectEncodingDetails } = require('./encoding');
+const { openRecordStream, collectRecords, writeJsonStream, writeCsvStream } = require('./stream');
+const { readXlsxRecords, openJsonRecords, flattenRecord } = require('./sources');
+const { inferSqlTypes, writeSqlStream, writeSqliteStream } = require('./sql');
+const { nestRecord, nestRecords, groupRecords } = require('./nest');
+const { loadMask, compileMask } = require('./mask');
+const { compileColumns } = require('./columns');
+const { compileExpression } = require('./expr');
+const { openJoinTables } = require('./join');
+const { compileSummary } = require('./summary');
+const { compileDedup } = require('./dedup');
+const { createProfile, profileRecords } = require('./profile');
+const { MAX_SHEET_ROWS, buildWorkbook, writeXlsxStream, createMergedXlsxWriter } = require('./xlsx');
+const { compileWhere } = require('./where');
+const { sniffDialect } = require('./dialect');
+const { loadSchema, compileSchema } = require('./schema');
+const { loadStyle, compileStyle } = require('./style');
+const { inputBaseName } = require('./files');
+
+/**
+ * 读取并解析 CSV。
+ * @param {Buffer|string} input CSV 内容的 Buffer，或 CSV 文件路径
+ * @param {object} [opts]
+ * @param {string} [opts.encoding] 输入编码，缺省时自动检测
+ * @param {{pattern: string, encoding: string}[]} [opts.encodingOverrides] 按文件名 glob 指定编码，优先于 encoding
+ * @param {string} [opts.delimiter='auto'] 字段分隔符，auto 或缺省时根据样本探测
+ * @param {string} [opts.quote] 引号字符，缺省时探测
+ * @param {string} [opts.escape] 转义字符，缺省时探测
+ * @param {boolean|'auto'} [opts.header='auto'] 第一行是否为表头；为 false 时列名为 column1、column2 ...
+ * @param {string|function(object): boolean} [opts.where] 过滤表达式或判断函数，见 lib/where.js
+ * @param {function(object): boolean} [opts.filter] 额外的过滤函数，与 where 同时满足才保留
+ * @param {string|object} [opts.schema] 列定义文件路径或列定义对象，见 lib/schema.js
+ * @param {object} [opts.transform] 列变换 {select, drop, rename, compute, dateFormats, timezone} 或 compileColumns 的结果，见 lib/columns.js；在列定义之后应用
+ * @param {string|object} [opts.mask] 脱敏配置文件路径、配置对象或 compileMask 的结果，见 lib/mask.js；在列变换之后应用，使用变换后的列名
+ * @param {object} [opts.dedup] 去重 {by, keep, latestBy} 或 compileDedup 的结果，见 lib/dedup.js；在列变换之后、脱敏之前应用。
+ *   keep 为 last 或 latest 时先预读一遍输入；createCsvStream 不预读，只能保留第一条
+ * @param {function(object): void} [opts.onReject] 逐条接收被跳过、修复或丢弃的记录 {line, action, code, reason, raw}
+ * @returns {Promise<{records: object[], columns: string[], encoding: string, encodingInfo: object, dialect: object, stats: object}>}
+ *   encodingInfo 为编码判定依据 {encoding, source, confidence, candidates}
+ *   dialect 为实际使用的方言 {delimiter, quote, escape, header, lineEnding, confidence, sniffed}
+ *   stats 含 read、filtered、skipped、repaired、invalid、duplicates、violationCount 和 violations（{line, column, value, message}）
+ */
+async function readCsv(input, opts = {}) {
+    const dedup = compileDedup(opts.dedup);
+    if (dedup && dedup.keep !== 'first') {
+        await collectRecords(openRecordStream(input, { ...opts, mask: undefined, onReject: undefined, dedup: dedup.scanner() }).records);
+    }
+    const { records: stream, encoding, encodingInfo, dialect, stats } = openRecordStream(input, { ...opts, dedup });
+    const records = await collectRecords(stream);
+
+    return {
+        records,
+        columns: Object.keys(records[0] || {}),
+        encoding,
+        encodingInfo,
+        dialect,
+        stats
+    };
+}
+
+/**
+ * 将记录序列化为 JSON 字符串。
+ * @param {object[]} records
+ * @param {object} [opts]
+ * @param {boolean} [opts.pretty=true] 是否缩进输出
+ * @returns {string}
+ */
+function toJson(records, opts = {}) {
+    const { pretty = true } = opts;
+    return JSON.stringify(records, null, pretty ? 2 : 0);
+}
+
+/**
+ * 将记录生成 XLSX 工作簿。
+ * @param {object[]} records
+ * @param {object} [opts]
+ * @param {string} [opts.title] 工作簿标题
+ * @param {string} [opts.sheetName='Sheet1'] 工作表名称
+ * @param {boolean} [opts.guessTypes=true] 是否把数字、日期字符串转换为对应类型
+ * @param {string[]} [opts.dateFormats] 识别日期时尝试的格式，例如 ['DD/MM/YYYY']，缺省为常见格式
+ * @param {string} [opts.timezone] 日期取值的源时区，例如 Asia/Shanghai 或 +08:00，缺省为本地时间
+ * @param {string|object|false} [opts.style] 样式文件路径或样式对象，见 lib/style.js；false 表示不加格式
+ * @returns {Promise<Buffer>}
+ */
+async function toXlsx(records, opts = {}) {
+    const workbook = buildWorkbook(records, opts);
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+/**
+ * 以流的方式打开 CSV，适用于无法一次读入内存的大文件。
+ * 编码只根据文件开头的样本检测。
+ * @param {Buffer|string} input CSV 内容的 Buffer，或 CSV 文件路径
+ * @param {object} [opts] 同 readCsv
+ * @returns {{records: import('stream').Readable, encoding: string, encodingInfo: object, dialect: object, stats: object}}
+ *   records 为对象模式的记录流；stats 在读取过程中更新
+ */
+function createCsvStream(input, opts = {}) {
+    return openRecordStream(input, opts);
+}
+
+// 概况中列出的格式错误行数
+const MAX_MALFORMED_SAMPLES = 5;
+
+/**
+ * 读取 CSV 并统计数据概况，编码检测、方言探测和解析与 readCsv 相同，不在内存中保留记录。
+ * @param {Buffer|string} input CSV 内容的 Buffer，或 CSV 文件路径
+ * @param {object} [opts] 同 readCsv（不支持 dedup），另外:
+ * @param {number} [opts.top=5] 每列列出的常见取值数
+ * @param {string[]} [opts.dateFormats] 推断日期时尝试的格式
+ * @param {string} [opts.timezone] 日期取值的源时区
+ * @returns {Promise<{encoding: string, encodingInfo: object, dialect: object, rows: number, malformed: object, stats: object, columns: object[]}>}
+ *   rows 为统计的记录数；malformed 为格式错误的行 {count, samples: [{line, action, reason}]}，
+ *   即无法解析而跳过或列数不一致的行；columns 为各列的概况，见 lib/profile.js
+ */
+async function profileCsv(input, opts = {}) {
+    if (opts.dedup) {
+        throw new Error('数据概况不支持去重');
+    }
+    const malformed = { count: 0, samples: [] };
+    const onReject = reject => {
+        if (reject.action === 'skipped' || reject.code.split(',').some(code => code && code !== 'SCHEMA_VIOLATION')) {
+            malformed.count++;
+            if (malformed.samples.length < MAX_MALFORMED_SAMPLES) {
+                malformed.samples.push({ line: reject.line, action: reject.action, reason: reject.reason });
+            }
+        }
+        if (opts.onReject) opts.onReject(reject);
+    };
+    const { records, encoding, encodingInfo, dialect, stats } = openRecordStream(input, { ...opts, onReject });
+    const { rows, columns } = await profileRecords(records, opts);
+
+    return { encoding, encodingInfo, dialect, rows, malformed, stats, columns };
+}
+
+/**
+ * 将记录流逐条写入 JSON 数组或 NDJSON 文件。
+ * @param {AsyncIterable<object>} records
+ * @param {string} outputPath
+ * @param {object} [opts]
+ * @param {'json'|'ndjson'|'columnar'} [opts.format='json'] columnar 输出 { 列名: [取值...] }
+ * @param {boolean} [opts.pretty=true] JSON 数组是否缩进输出
+ * @returns {Promise<number>} 写入的记录数
+ */
+function writeJson(records, outputPath, opts = {}) {
+    return writeJsonStream(records, outputPath, opts);
+}
+
+/**
+ * 将记录流写入 XLSX，超过单表行数上限时拆分。
+ * @param {AsyncIterable<object>} records
+ * @param {string} outputPath
+ * @param {object} [opts]
+ * @param {string} [opts.title] 工作簿标题
+ * @param {'sheets'|'files'} [opts.split='sheets'] 拆分为多个工作表或多个文件
+ * @param {number} [opts.maxRows] 每个工作表的数据行数上限，默认 1048575
+ * @param {boolean} [opts.guessTypes=true] 同 toXlsx，另支持 opts.dateFormats、opts.timezone
+ * @param {string|object|false} [opts.style] 样式文件路径或样式对象
+ * @param {function(): {name: string, records: object[]}[]} [opts.extraSheets] 结束时追加到最后一个工作簿的工作表，例如汇总
+ * @returns {Promise<{rows: number, files: string[]}>}
+ */
+function writeXlsx(records, outputPath, opts = {}) {
+    return writeXlsxStream(records, outputPath, opts);
+}
+
+/**
+ * 将多个记录流合并写入同一个 XLSX 工作簿，每个记录流一个工作表。
+ * 工作表名称按 Excel 规则截断到 31 个字符并去重。记录先暂存到临时目录，最后以流的方式写出。
+ * @param {{name: string, records: AsyncIterable<object>, file?: string, encoding?: string}[]} sources
+ * @param {string} outputPath
+ * @param {object} [opts]
+ * @param {string} [opts.title] 工作簿标题
+ * @param {number} [opts.maxRows] 每个工作表的数据行数上限，超过时拆分为多个工作表
+ * @param {boolean} [opts.guessTypes=true] 同 toXlsx，另支持 opts.dateFormats、opts.timezone
+ * @param {string|object|false} [opts.style] 样式文件路径或样式对象
+ * @param {boolean} [opts.indexSheet=false] 是否在最前面添加列出源文件、记录数和编码的索引工作表
+ * @returns {Promise<{file: string|null, sheets: string[]}>}
+ */
+async function mergeXlsx(sources, outputPath, opts = {}) {
+    const writer = createMergedXlsxWriter(outputPath, opts);
+    try {
+        for (const source of sources) {
+            const { commit } = await writer.read(source.name, source.records);
+            commit({ file: source.file, encoding: source.encoding });
+        }
+    } catch (error) {
+        writer.discard();
+        throw error;
+    }
+    const { file, sheets } = await writer.finish();
+    return { file, sheets };
+}
+
+/**
+ * 读取 XLSX 工作表中的记录，日期单元格转为 YYYY-MM-DD [HH:mm:ss] 字符串，空单元格为空字符串。
+ * @param {string} filePath
+ * @param {object} [opts]
+ * @param {string|number} [opts.sheet] 工作表名称或从 1 开始的序号，缺省为第一个
+ * @param {number} [opts.headerRow] 表头所在行号，0 表示没有表头（列名为 column1、column2 ...），缺省为区域的第一行
+ * @param {string} [opts.range] 只读取的区域，例如 A2:F100
+ * @returns {Promise<{records: object[], columns: string[], sheetName: string}>}
+ */
+function readXlsx(filePath, opts = {}) {
+    return readXlsxRecords(filePath, opts);
+}
+
+/**
+ * 打开 JSON 数组或 NDJSON 文件，嵌套对象和数组展开为 a.b、c.0 形式的列。
+ * @param {string} filePath
+ * @param {object} [opts]
+ * @param {string} [opts.encoding] 输入编码，缺省时自动检测
+ * @param {{pattern: string, encoding: string}[]} [opts.encodingOverrides]
+ * @returns {Promise<{records: import('stream').Readable, columns: string[], format: 'json'|'ndjson', encoding: string, encodingInfo: object}>}
+ */
+function createJsonStream(filePath, opts = {}) {
+    return openJsonRecords(filePath, opts);
+}
+
+/**
+ * 将记录流写入 CSV 文件。
+ * @param {AsyncIterable<object>} records
+ * @param {string} outputPath
+ * @param {object} opts
+ * @param {string[]} opts.columns 输出的列及顺序
+ * @param {string} [opts.delimiter=',']
+ * @param {string} [opts.quote='"']
+ * @param {boolean} [opts.header=true] 是否输出表头行
+ * @param {string} [opts.lineEnding='\r\n']
+ * @param {string} [opts.encoding='utf8'] 输出编码，例如 gbk
+ * @param {boolean} [opts.bom=false] 是否写入 BOM
+ * @returns {Promise<number>} 写入的记录数
+ */
+function writeCsv(records, outputPath, opts) {
+    return writeCsvStream(records, outputPath, opts);
+}
+
+/**
+ * 将记录流写成 SQL 脚本：CREATE TABLE 后接分批的 INSERT，包在一个事务中。
+ * 空值写为 NULL，日期写为 YYYY-MM-DD [HH:mm:ss]。
+ * @param {AsyncIterable<object>} records
+ * @param {string} outputPath
+ * @param {object} opts
+ * @param {string} opts.table 表名
+ * @param {string[]} opts.columns 列及顺序
+ * @param {Object<string, string>} opts.types 列类型，通常来自 inferSqlTypes
+ * @param {string[]} [opts.dateFormats] 日期列的取值格式，与 inferSqlTypes 相同
+ * @param {number} [opts.batchSize=500] 每条 INSERT 语句包含的记录数
+ * @returns {Promise<number>} 写入的记录数
+ */
+function writeSql(records, outputPath, opts) {
+    return writeSqlStream(records, outputPath, opts);
+}
+
+/**
+ * 将记录流写入 SQLite 数据库文件（sql.js，数据库在内存中构建后一次写出）。
+ * @param {AsyncIterable<object>} records
+ * @param {string} outputPath
+ * @param {object} opts 同 writeSql，不含 batchSize
+ * @returns {Promise<number>} 写入的记录数
+ */
+function writeSqlite(records, outputPath, opts) {
+    return writeSqliteStream(records, outputPath, opts);
+}
+
+/**
+ * 按键列连接记录：右表在内存中建立索引，左表逐条查找匹配的记录。
+ * 右表中与已有列重名的列加表名前缀，例如 diagnoses.诊断。
+ * @param {AsyncIterable<object>|object[]} left
+ * @param {{name: string, records: AsyncIterable<object>|object[]}[]} tables 右表
+ * @param {object} opts
+ * @param {string[]} opts.on 键列，各表中的列名相同
+ * @param {'inner'|'left'} [opts.type='left']
+ * @param {'all'|'first'|'last'|'error'|'nest'} [opts.duplicates='all'] 右表中同一个键有多条记录时的处理方式
+ * @returns {AsyncGenerator<object>}
+ */
+async function* joinRecords(left, tables, opts) {
+    const joiner = await openJoinTables(
+        tables.map(table => ({ name: table.name, open: () => table.records })),
+        { ...opts, maxRowsInMemory: Infinity } // 记录流只能读取一次，不分区
+    );
+    yield* joiner.join(left);
+}
+
+/**
+ * 以文件名（不含扩展名）作为标题。
+ * @param {string} filePath
+ * @returns {string}
+ */
+function titleFromPath(filePath) {
+    return inputBaseName(filePath);
+}
+
+module.exports = {
+    readCsv,
+    profileCsv,
+    toJson,
+    toXlsx,
+    createCsvStream,
+    writeJson,
+    writeXlsx,
+    mergeXlsx,
+    readXlsx,
+    createJsonStream,
+    writeCsv,
+    flattenRecord,
+    nestRecord,
+    nestRecords,
+    groupRecords,
+    inferSqlTypes,
+    writeSql,
+    writeSqlite,
+    joinRecords,
+    detectEncoding,
+    detectEncodingDetails,
+    sniffDialect,
+    compileWhere,
+    loadSchema,
+    compileSchema,
+    loadStyle,
+    compileStyle,
+    loadMask,
+    compileMask,
+    compileColumns,
+    compileExpression,
+    compileSummary,
+    compileDedup,
+    createProfile,
+    MAX_SHEET_ROWS,
+    titleFromPath
+};
@@ -0,0 +1,247 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { serializeRecord, readSpool } = require('./spool');
+
+// 多表连接：右表按键列在内存中建立索引，左表逐条查找匹配的记录。
+// 右表的记录总数超过内存上限时，左右表都按键的哈希分区写入临时文件，逐个分区连接，
+// 此时输出按分区排列，不再保持左表的顺序
+
+const joinTypes = ['inner', 'left'];
+// 右表中同一个键有多条记录时：all 输出所有组合，first / last 只取第一条 / 最后一条，
+// error 报错，nest 把匹配的记录作为数组放在以表名命名的列中
+const duplicateModes = ['all', 'first', 'last', 'error', 'nest'];
+
+const DEFAULT_MAX_ROWS_IN_MEMORY = 1000000;
+const MAX_PARTITIONS = 256;
+
+// 键列的取值拼接为字符串；任一键列为空时返回 null，不与任何记录匹配
+function keyOf(record, on) {
+    const values = [];
+    for (const column of on) {
+        const value = record[column];
+        if (value === undefined || value === null || value === '') return null;
+        values.push(value instanceof Date ? value.toISOString() : String(value));
+    }
+    return values.join('\u0000');
+}
+
+function describeKey(key) {
+    return key.split('\u0000').join(', ');
+}
+
+function checkKeyColumns(name, columns, on) {
+    const missing = on.filter(column => !columns.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`表 ${name} 缺少键列: ${missing.join(', ')}`);
+    }
+}
+
+// 右表的索引；store 为 false 时只校验和计数，不保留记录
+function createTableIndex(name, on, duplicates, columns = null) {
+    const index = new Map();
+    const table = { name, columns, rows: 0, index };
+
+    table.add = (record, store = true) => {
+        if (!table.columns) {
+            table.columns = Object.keys(record);
+            checkKeyColumns(name, table.columns, on);
+        }
+        table.rows++;
+        const key = keyOf(record, on);
+        if (!store || key === null) return;
+        const matches = index.get(key);
+        if (!matches) {
+            index.set(key, [record]);
+        } else if (duplicates === 'error') {
+            throw new Error(`表 ${name} 中键 ${describeKey(key)} 重复`);
+        } else if (duplicates === 'last') {
+            matches[0] = record;
+        } else if (duplicates !== 'first') {
+            matches.push(record);
+        }
+    };
+    table.clear = () => index.clear();
+    return table;
+}
+
+// 各右表的列在输出中的名称：键列只保留左表的一份，与已有列重名时加表名前缀，例如 diagnoses.诊断；
+// nest 时匹配的记录放在以表名命名的列中
+function planColumns(leftColumns, tables, on, duplicates) {
+    checkKeyColumns('左表', leftColumns, on);
+    const used = new Set(leftColumns);
+    const claim = name => {
+        if (used.has(name)) throw new Error(`连接后的列名重复: ${name}`);
+        used.add(name);
+        return name;
+    };
+
+    return tables.map(table => {
+        const columns = (table.columns || []).filter(column => !on.includes(column));
+        if (duplicates === 'nest') {
+            return { table, target: claim(table.name), columns: columns.map(column => [column, column]) };
+        }
+        return {
+            table,
+            columns: columns.map(column => [column, claim(used.has(column) ? `${table.name}.${column}` : column)])
+        };
+    });
+}
+
+function pick(record, columns) {
+    const output = {};
+    columns.forEach(([column, name]) => {
+        output[name] = record[column] === undefined ? null : record[column];
+    });
+    return output;
+}
+
+// 逐条连接左表记录与已建立索引的右表；stats.unmatched 为在任一右表中没有匹配的左表记录数
+async function* joinIndexed(left, tables, { on, type = 'left', duplicates = 'all' }, stats = {}) {
+    let plans = null;
+    stats.unmatched = stats.unmatched || 0;
+    for await (const record of left) {
+        if (!plans) plans = planColumns(Object.keys(record), tables, on, duplicates);
+        const key = keyOf(record, on);
+        let rows = [{ ...record }];
+        let unmatched = false;
+
+        for (const plan of plans) {
+            const matches = key === null ? [] : plan.table.index.get(key) || [];
+            if (matches.length === 0) unmatched = true;
+            if (matches.length === 0 && type === 'inner') {
+                rows = [];
+                break;
+            }
+            if (plan.target) {
+                rows.forEach(row => {
+                    row[plan.target] = matches.map(match => pick(match, plan.columns));
+                });
+            } else if (matches.length === 0) {
+                rows.forEach(row => Object.assign(row, pick({}, plan.columns)));
+            } else {
+                rows = rows.flatMap(row => matches.map(match => ({ ...row, ...pick(match, plan.columns) })));
+            }
+        }
+        if (unmatched) stats.unmatched++;
+        yield* rows;
+    }
+}
+
+// FNV-1a 哈希
+function hashKey(key) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < key.length; i++) {
+        hash ^= key.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function partitionPath(prefix, n) {
+    return `${prefix}.${n}.ndjson`;
+}
+
+// 按键的哈希把记录写入 count 个分区文件；键为空的记录写入分区 0，skipEmptyKeys 时丢弃
+async function partitionRecords(records, on, prefix, count, { skipEmptyKeys = false } = {}) {
+    const streams = Array.from({ length: count }, (_, n) => fs.createWriteStream(partitionPath(prefix, n), 'utf8'));
+    try {
+        for await (const record of records) {
+            const key = keyOf(record, on);
+            if (key === null && skipEmptyKeys) continue;
+            const stream = streams[key === null ? 0 : hashKey(key) % count];
+            if (!stream.write(`${serializeRecord(record)}\n`)) await once(stream, 'drain');
+        }
+    } finally {
+        await Promise.all(streams.map(stream => new Promise((resolve, reject) => {
+            stream.end(error => (error ? reject(error) : resolve()));
+        })));
+    }
+}
+
+/**
+ * 读取右表并建立索引，返回 { tables, partitions, join(left), close() }。
+ * tables 为 [{ name, open() }]，open 返回记录的异步迭代器，分区时会再次调用。
+ * join(left, stats) 返回连接后的记录，可对多个左表重复调用，stats.unmatched 为没有匹配的左表记录数；
+ * close 删除分区的临时文件。
+ */
+async function openJoinTables(tables, opts) {
+    const { on, duplicates = 'all', maxRowsInMemory = DEFAULT_MAX_ROWS_IN_MEMORY } = opts;
+    const names = tables.map(table => table.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate) throw new Error(`右表名称重复: ${duplicate}`);
+
+    // 先尝试全部载入内存，超过上限后只计数，用于确定分区数
+    const indexes = [];
+    let total = 0;
+    let overflow = false;
+    for (const table of tables) {
+        const index = createTableIndex(table.name, on, duplicates);
+        indexes.push(index);
+        for await (const record of table.open()) {
+            total++;
+            index.add(record, !overflow);
+            if (!overflow && total > maxRowsInMemory) {
+                overflow = true;
+                indexes.forEach(item => item.clear());
+            }
+        }
+    }
+    const summary = indexes.map(({ name, columns, rows }) => ({ name, columns: columns || [], rows }));
+    if (!overflow) {
+        return {
+            tables: summary,
+            partitions: 0,
+            join: (left, stats) => joinIndexed(left, indexes, opts, stats),
+            close() {}
+        };
+    }
+
+    // 每个分区的记录数约为上限的一半
+    const count = Math.min(MAX_PARTITIONS, Math.max(2, Math.ceil(total / maxRowsInMemory) * 2));
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv2x-join-'));
+    const close = () => fs.rmSync(dir, { recursive: true, force: true });
+    try {
+        for (let i = 0; i < tables.length; i++) {
+            await partitionRecords(tables[i].open(), on, path.join(dir, `table${i}`), count, { skipEmptyKeys: true });
+        }
+    } catch (error) {
+        close();
+        throw error;
+    }
+
+    let leftCount = 0;
+    async function* joinPartitioned(left, stats = {}) {
+        const prefix = path.join(dir, `left${leftCount++}`);
+        try {
+            await partitionRecords(left, on, prefix, count);
+            for (let n = 0; n < count; n++) {
+                const partitionIndexes = [];
+                for (let i = 0; i < tables.length; i++) {
+                    const index = createTableIndex(tables[i].name, on, duplicates, summary[i].columns);
+                    for await (const record of readSpool(partitionPath(path.join(dir, `table${i}`), n))) {
+                        index.add(record);
+                    }
+                    partitionIndexes.push(index);
+                }
+                yield* joinIndexed(readSpool(partitionPath(prefix, n)), partitionIndexes, opts, stats);
+            }
+        } finally {
+            for (let n = 0; n < count; n++) {
+                fs.rmSync(partitionPath(prefix, n), { force: true });
+            }
+        }
+    }
+
+    return { tables: summary, partitions: count, join: joinPartitioned, close };
+}
+
+module.exports = {
+    joinTypes,
+    duplicateModes,
+    DEFAULT_MAX_ROWS_IN_MEMORY,
+    keyOf,
+    planColumns,
+    openJoinTables
+};
@@ -0,0 +1,33 @@
+// 日志级别：quiet 只输出警告和错误，normal 为默认，verbose 另外输出调试信息。
+// 常规输出通过 info、调试信息通过 verbose 按级别输出，不替换全局的 console.log，嵌入本库的程序不受影响
+const logLevels = ['quiet', 'normal', 'verbose'];
+let currentLevel = 'normal';
+
+function setLogLevel(level) {
+    if (!logLevels.includes(level)) {
+        throw new Error(`无效的日志级别: ${level}`);
+    }
+    currentLevel = level;
+}
+
+function logLevel() {
+    return currentLevel;
+}
+
+// 常规输出，--quiet 时不输出
+function info(...args) {
+    if (currentLevel !== 'quiet') console.log(...args);
+}
+
+// 调试信息，仅 --verbose 时输出
+function verbose(...args) {
+    if (currentLevel === 'verbose') console.log(...args);
+}
+
+module.exports = {
+    logLevels,
+    setLogLevel,
+    logLevel,
+    info,
+    verbose
+};
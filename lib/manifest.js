@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { version } = require('../package.json');
+
+// 增量处理的清单，保存在输出目录中，记录每个源文件的大小、修改时间、内容哈希、选项指纹和输出文件
+const MANIFEST_FILE = '.csv2x-manifest.json';
+const MANIFEST_VERSION = 1;
+
+// 不影响输出内容的选项，不计入选项指纹
+const ignoredOptions = ['input', 'output', 'recursive', 'include', 'exclude', 'dry-run', 'clean', 'force', 'help',
+    'concurrency', 'workers', 'watch', 'interval', 'stable-time', 'archive', 'error-dir', 'report', 'quiet', 'verbose'];
+// 取值为文件路径的选项，指纹包含文件内容；脱敏对照表在运行结束时写回，见 restamp
+const fileOptions = ['schema', 'mask', 'mask-map', 'style', 'ids-file', 'with'];
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// 流式计算文件内容的 SHA-256
+async function hashFile(filePath) {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(filePath)) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+}
+
+function contentHash(filePath) {
+    return fs.existsSync(filePath) ? sha256(fs.readFileSync(filePath)) : null;
+}
+
+/**
+ * 计算选项指纹：命令名、影响输出的命令行选项、列定义、脱敏对照表和连接的右表等引用文件的内容和程序版本，
+ * 任一变化时所有文件重新转换。hash 脱敏的密钥只以哈希形式计入。
+ */
+function optionsFingerprint(command, values, env = process.env) {
+    const settings = {};
+    Object.keys(values).sort().forEach(key => {
+        if (ignoredOptions.includes(key)) return;
+        const fileHash = filePath => ({ path: filePath, sha256: contentHash(filePath) });
+        if (!fileOptions.includes(key)) settings[key] = values[key];
+        else settings[key] = Array.isArray(values[key]) ? values[key].map(fileHash) : fileHash(values[key]);
+    });
+    if (values.where) {
+        // 过滤表达式中 @ids.txt 形式引用的文件
+        settings.whereFiles = (values.where.match(/@[^\s()]+/g) || [])
+            .map(reference => ({ path: reference.slice(1), sha256: contentHash(reference.slice(1)) }));
+    }
+    if (values.mask && env.CSV2X_MASK_SALT) {
+        settings.maskSalt = sha256(env.CSV2X_MASK_SALT);
+    }
+    return sha256(JSON.stringify({ command, version, settings }));
+}
+
+function readManifest(manifestPath) {
+    if (!fs.existsSync(manifestPath)) return {};
+    try {
+        const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+        return manifest.version === MANIFEST_VERSION && manifest.files ? manifest.files : {};
+    } catch (error) {
+        console.warn(`清单文件无法读取，将重新转换所有文件: ${error.message}`);
+        return {};
+    }
+}
+
+// 打开输出目录中的清单；fingerprint 为本次运行的选项指纹。pending 为 true 时（例如脱敏对照表在运行结束时才写回）
+// 本次转换的记录暂不带指纹，由 restamp 补上，中途退出时这些文件下次重新转换
+function openManifest(outputDir, fingerprint, pending = false) {
+    const manifestPath = path.join(outputDir, MANIFEST_FILE);
+    const files = readManifest(manifestPath);
+    const keyOf = file => path.resolve(file);
+    const resolveOutput = output => path.join(outputDir, output);
+    const recorded = new Set(); // 本次运行记录的条目
+
+    function removeOutputs(outputs, keep = new Set()) {
+        const removed = [];
+        outputs.filter(output => !keep.has(output)).forEach(output => {
+            const filePath = resolveOutput(output);
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+                removed.push(filePath);
+            }
+        });
+        return removed;
+    }
+
+    // 需要重新转换的原因，未变化时为 null
+    function changeReason(entry, info, force) {
+        if (force) return '强制重新转换';
+        if (!entry) return '新文件';
+        if (entry.options !== fingerprint) return '选项变化';
+        if (entry.size !== info.size) return '大小变化';
+        if (!entry.outputs.every(output => fs.existsSync(resolveOutput(output)))) return '输出缺失';
+        return null;
+    }
+
+    // 判断源文件自上次转换后是否未变化：选项与大小相同、输出都在，修改时间相同或内容哈希相同。
+    // 返回 { unchanged, reason, info, outputs }，outputs 为上次生成的输出
+    async function check(file, force = false) {
+        const stat = fs.statSync(file);
+        const entry = files[keyOf(file)];
+        const info = { size: stat.size, mtime: stat.mtimeMs, hash: null };
+        const outputs = entry ? entry.outputs.map(resolveOutput) : [];
+        const reason = changeReason(entry, info, force);
+
+        if (!reason && entry.mtime === info.mtime) {
+            return { unchanged: true, reason: null, info: { ...info, hash: entry.hash }, outputs };
+        }
+        info.hash = await hashFile(file);
+        if (!reason && entry.hash === info.hash) {
+            entry.mtime = info.mtime; // 只是修改时间变化
+            return { unchanged: true, reason: null, info, outputs };
+        }
+        return { unchanged: false, reason: reason || '内容变化', info, outputs };
+    }
+
+    // 记录转换结果，删除上次生成而这次没有生成的输出，返回被删除的文件
+    function record(file, info, outputs) {
+        const key = keyOf(file);
+        const relative = outputs.map(output => path.relative(outputDir, output));
+        const removed = files[key] ? removeOutputs(files[key].outputs, new Set(relative)) : [];
+        const entry = {
+            size: info.size,
+            mtime: info.mtime,
+            hash: info.hash,
+            options: pending ? null : fingerprint,
+            outputs: relative,
+            convertedAt: new Date().toISOString()
+        };
+        files[key] = entry;
+        recorded.add(entry);
+        save();
+        return removed;
+    }
+
+    // 转换失败的文件下次重新转换
+    function forget(file) {
+        delete files[keyOf(file)];
+        save();
+    }
+
+    // 源文件被移走（例如归档）后记录随之转移，输出不会被当作过期删除
+    function move(file, target) {
+        const key = keyOf(file);
+        if (!files[key]) return;
+        files[keyOf(target)] = files[key];
+        delete files[key];
+        save();
+    }
+
+    // 源文件已不存在时删除其输出，仍被其他源文件使用的输出除外；返回被删除的文件
+    function removeStale() {
+        const stale = Object.keys(files).filter(key => !fs.existsSync(key));
+        if (stale.length === 0) return [];
+        stale.forEach(key => {
+            files[key].stale = true;
+        });
+        const live = new Set(Object.values(files).filter(entry => !entry.stale).flatMap(entry => entry.outputs));
+        const removed = stale.flatMap(key => removeOutputs(files[key].outputs, live));
+        stale.forEach(key => delete files[key]);
+        save();
+        return removed;
+    }
+
+    // 运行结束后选项指纹变化（脱敏对照表已写回）时，把指纹与本次相同或本次转换的文件改记为新的指纹
+    function restamp(next) {
+        Object.values(files).forEach(entry => {
+            if (entry.options === fingerprint || recorded.has(entry)) entry.options = next;
+        });
+        fingerprint = next;
+        pending = false;
+        save();
+    }
+
+    // 先写临时文件再改名，避免中断时留下不完整的清单
+    function save() {
+        const tempPath = `${manifestPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ version: MANIFEST_VERSION, files }, null, 2), 'utf8');
+        fs.renameSync(tempPath, manifestPath);
+    }
+
+    return { path: manifestPath, files, check, record, forget, move, removeStale, restamp, save };
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    hashFile,
+    optionsFingerprint,
+    openManifest
+};
@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const YAML = require('yaml');
+const { parse } = require('csv-parse/sync');
+const { parseDateParts, formatDateParts, dateToParts } = require('./dates');
+const { csvEscape } = require('./rejects');
+const { bandLabel } = require('./expr');
+
+// 脱敏配置示例 (JSON 或 YAML):
+// {
+//   "columns": {
+//     "PATIENT_ID": { "method": "hash", "length": 16 },
+//     "VISIT_ID": { "method": "pseudonym", "prefix": "V", "digits": 6 },
+//     "年龄": { "method": "band", "size": 10, "max": 90 },
+//     "就诊日期": { "method": "date", "precision": "month" },
+//     "民族": { "method": "redact", "value": "***" },
+//     "付费类别": { "method": "drop" }
+//   }
+// }
+// hash 的密钥取自环境变量 CSV2X_MASK_SALT，不写在配置文件或命令行中
+
+const SALT_ENV = 'CSV2X_MASK_SALT';
+const maskMethods = ['hash', 'pseudonym', 'band', 'date', 'redact', 'drop'];
+const datePrecisions = ['year', 'month', 'day'];
+const mappingColumns = ['column', 'original', 'masked'];
+
+class MaskError extends Error {
+    constructor(message) {
+        super(`脱敏配置错误: ${message}`);
+        this.name = 'MaskError';
+    }
+}
+
+// 读取 JSON 或 YAML 格式的脱敏配置
+function loadMask(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    try {
+        return ext === '.yaml' || ext === '.yml' ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+        throw new MaskError(`${path.basename(filePath)}: ${error.message}`);
+    }
+}
+
+// 校验脱敏配置本身
+function validateMask(config, salt) {
+    if (!config || typeof config !== 'object' || !config.columns || typeof config.columns !== 'object') {
+        throw new MaskError('缺少 columns 定义');
+    }
+    Object.entries(config.columns).forEach(([column, rule]) => {
+        if (!rule || !maskMethods.includes(rule.method)) {
+            throw new MaskError(`列 ${column} 的脱敏方式无效，可选: ${maskMethods.join(', ')}`);
+        }
+        if (rule.method === 'hash' && !salt) {
+            throw new MaskError(`列 ${column} 使用 hash，需要通过环境变量 ${SALT_ENV} 提供密钥`);
+        }
+        if (rule.method === 'band' && rule.size !== undefined && !(Number(rule.size) > 0)) {
+            throw new MaskError(`列 ${column} 的分段宽度 ${rule.size} 无效`);
+        }
+        if (rule.method === 'date' && rule.precision && !datePrecisions.includes(rule.precision)) {
+            throw new MaskError(`列 ${column} 的日期精度只能为 ${datePrecisions.join(' | ')}`);
+        }
+    });
+}
+
+/**
+ * 编译脱敏配置，返回逐条应用的脱敏器。hash 与 pseudonym 的对照按 namespace（缺省为列名）共享，
+ * 同一批次的所有文件得到一致的结果。hash 由密钥决定，跨批次一致；pseudonym 按取值首次出现的顺序编号，
+ * 只在同一个脱敏器内一致，需要跨批次一致时从对照表文件继续编号。
+ */
+function compileMask(config, opts = {}) {
+    if (typeof config === 'string') config = loadMask(config);
+    if (config && typeof config.apply === 'function') return config;
+    const salt = opts.salt !== undefined ? opts.salt : process.env[SALT_ENV];
+    validateMask(config, salt);
+
+    const rules = Object.entries(config.columns).map(([column, rule]) => ({
+        ...rule,
+        column,
+        namespace: rule.namespace || column
+    }));
+    const byColumn = new Map(rules.map(rule => [rule.column, rule]));
+    const mappings = new Map(); // namespace -> Map(original -> masked)
+
+    function mappingOf(namespace) {
+        if (!mappings.has(namespace)) mappings.set(namespace, new Map());
+        return mappings.get(namespace);
+    }
+
+    const maskers = {
+        hash: (value, rule) => {
+            const mapping = mappingOf(rule.namespace);
+            if (!mapping.has(value)) {
+                const digest = crypto.createHmac('sha256', salt).update(value).digest('hex');
+                mapping.set(value, digest.slice(0, rule.length || 16));
+            }
+            return mapping.get(value);
+        },
+        pseudonym: (value, rule) => {
+            const mapping = mappingOf(rule.namespace);
+            if (!mapping.has(value)) {
+                mapping.set(value, `${rule.prefix || ''}${String(mapping.size + 1).padStart(rule.digits || 6, '0')}`);
+            }
+            return mapping.get(value);
+        },
+        // 数值分段：size 为 10 时 37 -> 30-39，不低于 max 时为 max+
+        band: (value, rule) => bandLabel(value, Number(rule.size) || 10, rule.max) || undefined,
+        date: (value, rule) => {
+            const parts = value instanceof Date ? dateToParts(value) : parseDateParts(String(value), rule.format);
+            if (!parts) return undefined;
+            const day = formatDateParts({ ...parts, hasTime: false });
+            const precision = rule.precision || 'month';
+            return precision === 'year' ? day.slice(0, 4) : precision === 'month' ? day.slice(0, 7) : day;
+        },
+        redact: (value, rule) => (rule.value !== undefined ? rule.value : '***')
+    };
+
+    // 应用到一条记录，返回新记录；无法分段或解析的取值置空并计入 stats.maskInvalid
+    function apply(record, stats = {}) {
+        const output = {};
+        Object.entries(record).forEach(([key, value]) => {
+            const rule = byColumn.get(key);
+            if (!rule) {
+                output[key] = value;
+                return;
+            }
+            if (rule.method === 'drop') return;
+            if (value === null || value === undefined || value === '') {
+                output[key] = value;
+                return;
+            }
+            const masked = rule.method === 'band' || rule.method === 'date'
+                ? maskers[rule.method](value, rule)
+                : maskers[rule.method](String(value), rule);
+            if (masked === undefined) {
+                stats.maskInvalid = (stats.maskInvalid || 0) + 1;
+                output[key] = '';
+            } else {
+                output[key] = masked;
+            }
+        });
+        return output;
+    }
+
+    // 从对照表文件读取已有的 pseudonym 对照，在此基础上继续编号；hash 由密钥决定，无需读取
+    function loadMapping(filePath) {
+        if (!fs.existsSync(filePath)) return 0;
+        const namespaces = new Set(rules.filter(rule => rule.method === 'pseudonym').map(rule => rule.namespace));
+        const rows = parse(fs.readFileSync(filePath), { columns: true, bom: true, skip_empty_lines: true })
+            .filter(row => namespaces.has(row.column));
+        rows.forEach(row => mappingOf(row.column).set(row.original, row.masked));
+        return rows.length;
+    }
+
+    // 写出 hash 与 pseudonym 的对照表，返回条数
+    function saveMapping(filePath) {
+        const lines = [`\ufeff${mappingColumns.join(',')}`];
+        mappings.forEach((mapping, namespace) => {
+            mapping.forEach((masked, original) => {
+                lines.push([namespace, original, masked].map(csvEscape).join(','));
+            });
+        });
+        fs.writeFileSync(filePath, `${lines.join('\n')}\n`, 'utf8');
+        return lines.length - 1;
+    }
+
+    return { rules, apply, loadMapping, saveMapping };
+}
+
+module.exports = {
+    SALT_ENV,
+    MaskError,
+    maskMethods,
+    loadMask,
+    compileMask
+};
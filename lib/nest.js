@@ -0,0 +1,139 @@
+// 嵌套输出：按键列分组为父子文档，带点号的列名展开为嵌套对象
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+}
+
+// 键恰好为 0、1、2 ... 的对象转为数组
+function toArrays(value) {
+    if (!isPlainObject(value)) return value;
+    const keys = Object.keys(value);
+    keys.forEach(key => {
+        value[key] = toArrays(value[key]);
+    });
+    if (keys.length > 0 && keys.every((key, index) => key === String(index))) {
+        return keys.map(key => value[key]);
+    }
+    return value;
+}
+
+// 展开时不允许作为上级的路径段（__proto__ 在任何位置都不允许），避免写入对象原型
+const unsafeSegments = ['__proto__', 'constructor', 'prototype'];
+
+function hasOwn(object, key) {
+    return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+// 把带点号的列名展开为嵌套对象：{ 'address.city': '北京', 'tags.0': 'a' } -> { address: { city: '北京' }, tags: ['a'] }
+// 与 flattenRecord 互逆；a 与 a.b 同时存在时无法展开，抛出异常
+function nestRecord(record) {
+    const output = {};
+    Object.entries(record).forEach(([key, value]) => {
+        const segments = key.split('.');
+        if (segments.some(segment => segment === '')) {
+            output[key] = value; // 形如 .a 或 a..b 的列名保持原样
+            return;
+        }
+        const unsafe = segments.find((segment, index) => segment === '__proto__'
+            || (index < segments.length - 1 && unsafeSegments.includes(segment)));
+        if (unsafe) {
+            throw new Error(`列 ${key} 含有不允许的名称 ${unsafe}，无法展开为嵌套对象`);
+        }
+
+        let node = output;
+        segments.slice(0, -1).forEach((segment, index) => {
+            if (!hasOwn(node, segment)) node[segment] = {};
+            if (!isPlainObject(node[segment])) {
+                throw new Error(`列 ${key} 与列 ${segments.slice(0, index + 1).join('.')} 冲突，无法展开为嵌套对象`);
+            }
+            node = node[segment];
+        });
+
+        const last = segments[segments.length - 1];
+        if (hasOwn(node, last) && isPlainObject(node[last])) {
+            throw new Error(`列 ${key} 与以 ${key}. 开头的列冲突，无法展开为嵌套对象`);
+        }
+        node[last] = value;
+    });
+    return toArrays(output);
+}
+
+// 校验分组选项，返回父级保留的列
+function parentKeysOf({ by, children, parentColumns = [] }) {
+    if (!by) throw new Error('缺少分组键列');
+    const parentKeys = [by, ...parentColumns.filter(column => column !== by)];
+    if (parentKeys.includes(children)) {
+        throw new Error(`子集合名称 ${children} 与父级列重名`);
+    }
+    return parentKeys;
+}
+
+/**
+ * 按键列把记录分组为嵌套文档：父级保留键列和 parentColumns（取组内第一条记录的值），
+ * 其余列作为子记录放入 children 数组。sorted 为 true 时假定输入已按键列排序，
+ * 键变化时立即输出，否则在内存中分组后按键首次出现的顺序输出。
+ */
+async function* groupRecords(records, opts) {
+    const { by, children = 'records', sorted = false, nest = false } = opts;
+    const parentKeys = parentKeysOf({ ...opts, children });
+    const shape = nest ? nestRecord : record => record;
+    let checked = false;
+
+    // 第一条记录中没有的键列或父级列视为列名有误，而不是把所有记录归为一组
+    const checkColumns = record => {
+        const missing = parentKeys.filter(key => !hasOwn(record, key));
+        if (missing.length > 0) {
+            throw new Error(`分组缺少列: ${missing.join(', ')}`);
+        }
+        checked = true;
+    };
+
+    const split = record => {
+        if (!checked) checkColumns(record);
+        const parent = {};
+        const child = {};
+        Object.entries(record).forEach(([key, value]) => {
+            if (parentKeys.includes(key)) parent[key] = value;
+            else child[key] = value;
+        });
+        return { key: record[by] === undefined || record[by] === null ? '' : String(record[by]), parent, child };
+    };
+    const finish = group => ({ ...shape(group.parent), [children]: group.children.map(shape) });
+
+    if (sorted) {
+        let current = null;
+        for await (const record of records) {
+            const { key, parent, child } = split(record);
+            if (!current || current.key !== key) {
+                if (current) yield finish(current);
+                current = { key, parent, children: [] };
+            }
+            current.children.push(child);
+        }
+        if (current) yield finish(current);
+        return;
+    }
+
+    const groups = new Map();
+    for await (const record of records) {
+        const { key, parent, child } = split(record);
+        if (!groups.has(key)) groups.set(key, { key, parent, children: [] });
+        groups.get(key).children.push(child);
+    }
+    for (const group of groups.values()) {
+        yield finish(group);
+    }
+}
+
+// 逐条展开带点号的列名
+async function* nestRecords(records) {
+    for await (const record of records) {
+        yield nestRecord(record);
+    }
+}
+
+module.exports = {
+    nestRecord,
+    nestRecords,
+    groupRecords
+};
@@ -0,0 +1,36 @@
+// 默认 CSV 解析选项
+const defaultCsvOptions = {
+    delimiter: ',',
+    columns: true,
+    skip_empty_lines: true,
+    trim: true,
+    bom: true,
+    quote: '"',
+    escape: '"',
+    relax_quotes: true,
+    relax_column_count: true,
+    skip_records_with_error: true
+};
+
+// 清理字段中的控制字符
+function cleanRecord(record) {
+    Object.keys(record).forEach(key => {
+        if (typeof record[key] === 'string') {
+            record[key] = record[key]
+                .replace(/[\x00-\x09\x0B-\x1F\x7F]/g, '')
+                .trim();
+        }
+    });
+    return record;
+}
+
+// 判断记录是否全部为空
+function isEmptyRecord(record) {
+    return !Object.values(record).some(value => value !== null && value !== '');
+}
+
+module.exports = {
+    defaultCsvOptions,
+    cleanRecord,
+    isEmptyRecord
+};
@@ -0,0 +1,126 @@
+const path = require('path');
+const util = require('util');
+const { Worker } = require('worker_threads');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// 并发处理时按任务收集控制台输出，任务结束后整块输出，避免不同文件的日志交错
+const consoleStorage = new AsyncLocalStorage();
+const consoleMethods = ['log', 'warn', 'error'];
+let consolePatched = false;
+
+function patchConsole() {
+    if (consolePatched) return;
+    consolePatched = true;
+    consoleMethods.forEach(method => {
+        const original = console[method];
+        console[method] = (...args) => {
+            const lines = consoleStorage.getStore();
+            if (lines) lines.push({ method, text: util.format(...args) });
+            else original.apply(console, args);
+        };
+    });
+}
+
+// 执行 fn 并收集其间的控制台输出，返回 { value, error, lines }，不抛出异常
+async function captureConsole(fn) {
+    patchConsole();
+    const lines = [];
+    try {
+        return { value: await consoleStorage.run(lines, fn), error: null, lines };
+    } catch (error) {
+        return { value: undefined, error, lines };
+    }
+}
+
+// 输出 captureConsole 收集的内容
+function replayConsole(lines) {
+    lines.forEach(({ method, text }) => console[method](text));
+}
+
+// 以最多 limit 个并发处理 items，fn(item, index) 返回 Promise
+async function mapLimit(items, limit, fn) {
+    let next = 0;
+    const runner = async () => {
+        while (next < items.length) {
+            const index = next++;
+            await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runner));
+}
+
+/**
+ * 工作线程池：每个线程运行 lib/worker.js，按 workerData.argv 重新解析命令行、按 workerData.logLevel 设置日志级别，
+ * 逐个转换分配的文件。
+ * run(task) 由空闲线程执行，返回线程回传的结果；线程异常退出时该任务失败，后续任务使用新线程。
+ */
+function createWorkerPool(size, workerData) {
+    const idle = [];
+    const waiting = [];
+    let created = 0;
+
+    function spawn() {
+        created++;
+        const worker = new Worker(path.join(__dirname, 'worker.js'), { workerData });
+        const slot = { worker, pending: null, dead: false };
+        const fail = error => {
+            slot.dead = true;
+            created--;
+            if (slot.pending) slot.pending.reject(error);
+            slot.pending = null;
+            if (waiting.length > 0) waiting.shift()(spawn());
+        };
+        worker.on('message', message => {
+            const { pending } = slot;
+            slot.pending = null;
+            release(slot);
+            pending.resolve(message);
+        });
+        worker.on('error', fail);
+        worker.on('exit', code => {
+            if (!slot.dead) fail(new Error(`工作线程异常退出 (${code})`));
+        });
+        return slot;
+    }
+
+    function acquire() {
+        while (idle.length > 0) {
+            const slot = idle.pop();
+            if (!slot.dead) return Promise.resolve(slot);
+        }
+        if (created < size) return Promise.resolve(spawn());
+        return new Promise(resolve => waiting.push(resolve));
+    }
+
+    function release(slot) {
+        if (slot.dead) return;
+        if (waiting.length > 0) waiting.shift()(slot);
+        else idle.push(slot);
+    }
+
+    async function run(task) {
+        const slot = await acquire();
+        return new Promise((resolve, reject) => {
+            slot.pending = { resolve, reject };
+            slot.worker.postMessage(task);
+        });
+    }
+
+    // 结束所有线程
+    async function close() {
+        const slots = idle.splice(0);
+        await Promise.all(slots.map(slot => {
+            slot.dead = true;
+            return slot.worker.terminate();
+        }));
+    }
+
+    return { run, close };
+}
+
+module.exports = {
+    captureConsole,
+    replayConsole,
+    mapLimit,
+    createWorkerPool
+};
@@ -0,0 +1,159 @@
+const { valueType } = require('./sql');
+const { aggregators } = require('./summary');
+const { parseDate, formatDateParts, dateToParts } = require('./dates');
+
+// 数据概况：逐条接收记录，统计各列的推断类型、空值率、不同取值数、最小 / 最大值、常见取值、
+// 最大长度和不符合推断类型的取值样例。内存占用取决于列数和不同取值数，与记录数无关
+
+// 每列最多跟踪的不同取值，超出后不再计入新的取值，不同取值数为下限，常见取值可能不完整
+const MAX_TRACKED_VALUES = 10000;
+
+// 每列列出的无效取值样例数
+const MAX_INVALID_SAMPLES = 5;
+
+// 推断类型与其包含的取值类型，依次尝试，覆盖的取值数相同时取靠前（更窄）的类型；
+// 类型名称与列定义文件相同，可直接用于 --schema
+const inferredTypes = [
+    { type: 'int', accepts: ['INTEGER'] },
+    { type: 'decimal', accepts: ['INTEGER', 'REAL'] },
+    { type: 'date', accepts: ['DATE'] },
+    { type: 'datetime', accepts: ['DATE', 'TIMESTAMP'] },
+    { type: 'boolean', accepts: ['BOOLEAN'] }
+];
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// 取值的文本形式，日期为 YYYY-MM-DD [HH:mm:ss]
+function valueText(value) {
+    return value instanceof Date ? formatDateParts(dateToParts(value)) : String(value);
+}
+
+// 用于统计不同取值的键，日期按时间比较
+function valueKey(value) {
+    return value instanceof Date ? `date:${value.toISOString()}` : String(value);
+}
+
+function createColumn() {
+    return {
+        filled: 0,
+        kinds: {}, // 取值类型 -> 个数
+        samples: {}, // 取值类型 -> 前几个不同的取值
+        values: new Map(), // 键 -> { value, count }
+        overflow: false,
+        maxLength: 0,
+        number: { min: aggregators.min(), max: aggregators.max() },
+        date: { min: aggregators.min(), max: aggregators.max() },
+        text: { min: aggregators.min(), max: aggregators.max() }
+    };
+}
+
+function track(range, value) {
+    range.min.add(value);
+    range.max.add(value);
+}
+
+/**
+ * 创建数据概况的累加器，opts.top 为每列列出的常见取值数（默认 5），opts.dateFormats、opts.timezone
+ * 为识别日期时尝试的格式和源时区。返回 { add(record), columns(), result() }。
+ */
+function createProfile({ top = 5, dateFormats, timezone } = {}) {
+    const columns = new Map();
+    let rows = 0;
+
+    function addValue(column, value) {
+        column.filled++;
+        const kind = valueType(value, dateFormats) || 'TEXT';
+        column.kinds[kind] = (column.kinds[kind] || 0) + 1;
+
+        const key = valueKey(value);
+        const seen = column.values.get(key);
+        if (seen) {
+            seen.count++;
+        } else if (column.values.size < MAX_TRACKED_VALUES) {
+            column.values.set(key, { value, count: 1 });
+        } else {
+            column.overflow = true;
+        }
+        const samples = column.samples[kind] || (column.samples[kind] = []);
+        if (samples.length < MAX_INVALID_SAMPLES && !samples.includes(value)) samples.push(value);
+
+        column.maxLength = Math.max(column.maxLength, [...valueText(value)].length);
+        track(column.text, value);
+        if (kind === 'INTEGER' || kind === 'REAL') track(column.number, value);
+        if (kind === 'DATE' || kind === 'TIMESTAMP') {
+            const date = value instanceof Date ? value : parseDate(String(value).trim(), dateFormats, timezone);
+            if (date) track(column.date, date);
+        }
+    }
+
+    function add(record) {
+        rows++;
+        Object.entries(record).forEach(([name, value]) => {
+            if (!columns.has(name)) columns.set(name, createColumn());
+            if (!isMissing(value)) addValue(columns.get(name), value);
+        });
+    }
+
+    // 覆盖过半非空取值的最窄类型，否则为 string；全部为空时为 null
+    function inferType(column) {
+        if (column.filled === 0) return { type: null, accepts: [] };
+        const covered = candidate => candidate.accepts.reduce((sum, kind) => sum + (column.kinds[kind] || 0), 0);
+        const best = inferredTypes.reduce((found, candidate) => (covered(candidate) > covered(found) ? candidate : found));
+        return covered(best) * 2 > column.filled ? best : { type: 'string', accepts: Object.keys(column.kinds) };
+    }
+
+    function columnResult(name, column) {
+        const { type, accepts } = inferType(column);
+        const range = type === 'int' || type === 'decimal' ? column.number
+            : type === 'date' || type === 'datetime' ? column.date
+                : type === 'string' ? column.text : null;
+        const invalidKinds = Object.keys(column.kinds).filter(kind => !accepts.includes(kind));
+        const empty = rows - column.filled;
+        return {
+            name,
+            type,
+            empty,
+            emptyRate: rows > 0 ? Number((empty / rows).toFixed(4)) : 0,
+            distinct: column.values.size,
+            distinctExceeded: column.overflow,
+            min: range ? range.min.result() : null,
+            max: range ? range.max.result() : null,
+            maxLength: column.maxLength,
+            top: [...column.values.values()]
+                .sort((a, b) => b.count - a.count)
+                .slice(0, top)
+                .map(({ value, count }) => ({ value, count })),
+            invalid: invalidKinds.reduce((sum, kind) => sum + column.kinds[kind], 0),
+            invalidSamples: invalidKinds.flatMap(kind => column.samples[kind]).slice(0, MAX_INVALID_SAMPLES)
+        };
+    }
+
+    return {
+        add,
+        columns: () => [...columns.keys()],
+        result: () => ({
+            rows,
+            columns: [...columns.entries()].map(([name, column]) => columnResult(name, column))
+        })
+    };
+}
+
+// 读取记录流的全部记录，返回数据概况
+async function profileRecords(records, opts) {
+    const profile = createProfile(opts);
+    for await (const record of records) {
+        profile.add(record);
+    }
+    return profile.result();
+}
+
+module.exports = {
+    MAX_TRACKED_VALUES,
+    MAX_INVALID_SAMPLES,
+    inferredTypes,
+    valueText,
+    createProfile,
+    profileRecords
+};
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+const rejectColumns = ['file', 'line', 'action', 'code', 'reason', 'raw'];
+
+// CSV 字段转义
+function csvEscape(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// 与输出文件同名的附属文件路径，例如 out/1.json -> out/1.rejects.csv
+function sidecarPath(outputPath, suffix) {
+    const ext = path.extname(outputPath);
+    return `${ext ? outputPath.slice(0, -ext.length) : outputPath}${suffix}`;
+}
+
+// 逐条写入被跳过、修复或丢弃的记录，有记录时才创建文件
+function createRejectsReport(inputPath, outputPath) {
+    const csvPath = sidecarPath(outputPath, '.rejects.csv');
+    const summaryPath = sidecarPath(outputPath, '.rejects.json');
+    const reasons = {};
+    let fd = null;
+    let count = 0;
+
+    function add(reject) {
+        if (fd === null) {
+            fd = fs.openSync(csvPath, 'w');
+            fs.writeSync(fd, `\ufeff${rejectColumns.join(',')}\n`);
+        }
+        const row = { file: inputPath, ...reject };
+        fs.writeSync(fd, `${rejectColumns.map(column => csvEscape(row[column])).join(',')}\n`);
+        count++;
+
+        String(reject.code || 'UNKNOWN').split(',').forEach(code => {
+            reasons[code] = (reasons[code] || 0) + 1;
+        });
+    }
+
+    // 关闭拒绝记录文件，可重复调用
+    function close() {
+        if (fd === null) return;
+        try {
+            fs.closeSync(fd);
+        } finally {
+            fd = null;
+        }
+    }
+
+    // 关闭文件并写出 JSON 汇总；没有拒绝记录时不生成附属文件
+    function finish(stats) {
+        close();
+
+        const total = stats.read + stats.skipped;
+        const rejected = stats.skipped + stats.invalid;
+        const summary = {
+            file: inputPath,
+            output: outputPath,
+            records: total,
+            rejected,
+            skipped: stats.skipped,
+            dropped: stats.invalid,
+            repaired: stats.repaired,
+            rejectRatio: total > 0 ? rejected / total : 0,
+            reasons,
+            rejectsFile: count > 0 ? csvPath : null
+        };
+
+        if (count > 0) {
+            fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2), 'utf8');
+        } else {
+            // 清理上次运行遗留的附属文件
+            [csvPath, summaryPath].filter(file => fs.existsSync(file)).forEach(file => fs.unlinkSync(file));
+        }
+        return summary;
+    }
+
+    return { add, close, finish, csvPath, summaryPath };
+}
+
+module.exports = {
+    rejectColumns,
+    csvEscape,
+    sidecarPath,
+    createRejectsReport
+};
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+
+// 运行报告默认写到输出目录中
+const REPORT_FILE = 'csv2x-report.json';
+
+// 批量运行的结果：全部成功（含未变化而跳过）、部分失败或全部失败
+function runStatus(results) {
+    if (results.failed === 0) return 'success';
+    return results.failed < results.total ? 'partial' : 'failed';
+}
+
+// 去重设置与删除的重复记录总数
+function dedupSummary(dedup, entries) {
+    return {
+        by: dedup.by || '*',
+        keep: dedup.keep,
+        latestBy: dedup.latestBy,
+        keys: dedup.size(),
+        duplicates: entries.reduce((total, { entry }) => total + (entry.duplicates || 0), 0)
+    };
+}
+
+/**
+ * 收集每个文件的处理结果，结束时写出 JSON 运行报告。
+ * 文件条目: { file, status, outputs, encoding, encodingInfo, rowsRead, rowsKept, filtered, rejected, repaired,
+ * rejectsFile, durationMs, error, movedTo }，status 为 converted / skipped / failed，
+ * encodingInfo 为编码的判定依据 { encoding, source, confidence, candidates }；
+ * 有列定义时另含 invalidValues（各列违反列定义的取值数和样例，例如无法解析的日期）；
+ * 去重时另含 duplicates 与 duplicateRecords（被删除的记录 { line, key, kept: { file, line } }）。
+ */
+function createRunReport(options) {
+    const startedAt = new Date();
+    const entries = [];
+
+    // 记录一个文件的处理结果；index 为文件在本批中的序号，并发处理时报告仍按文件顺序排列，
+    // result 为转换函数的返回值（finishInput 的汇总）
+    function add(index, file, status, { result, outputs, durationMs = 0, error = null, movedTo = null } = {}) {
+        const value = result || {};
+        const entry = {
+            file,
+            status,
+            outputs: outputs || value.outputs || [],
+            encoding: value.encoding || null,
+            encodingInfo: value.encodingInfo || null,
+            rowsRead: value.rowsRead !== undefined ? value.rowsRead : null,
+            rowsKept: value.rowsKept !== undefined ? value.rowsKept : null,
+            filtered: value.filtered || 0,
+            rejected: value.rejected || 0,
+            repaired: value.repaired || 0,
+            rejectsFile: value.rejectsFile || null,
+            durationMs: Math.round(durationMs),
+            error,
+            movedTo
+        };
+        if (options.schema) {
+            entry.invalidValues = value.invalidValues || {};
+        }
+        if (options.dedup) {
+            entry.duplicates = value.duplicates || 0;
+            entry.duplicateRecords = value.duplicateRecords || [];
+        }
+        entries.push({ index, entry });
+    }
+
+    // 写出报告，返回文件路径；reportPath 缺省为输出目录下的 csv2x-report.json
+    function write(results) {
+        const finishedAt = new Date();
+        const reportPath = options.report || path.join(options.output, REPORT_FILE);
+        const report = {
+            argv: options.argv || null,
+            input: options.input,
+            output: options.output,
+            startedAt: startedAt.toISOString(),
+            finishedAt: finishedAt.toISOString(),
+            durationMs: finishedAt - startedAt,
+            status: runStatus(results),
+            summary: {
+                total: results.total,
+                success: results.success,
+                skipped: results.skipped || 0,
+                failed: results.failed
+            },
+            ...(options.dedup ? { dedup: dedupSummary(options.dedup, entries) } : {}),
+            files: entries.sort((a, b) => a.index - b.index).map(({ entry }) => entry)
+        };
+        fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+        fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf8');
+        return reportPath;
+    }
+
+    return { add, write };
+}
+
+module.exports = {
+    REPORT_FILE,
+    runStatus,
+    createRunReport
+};
@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { parseDate, parseTimezone, dateToParts } = require('./dates');
+
+// 列定义示例 (JSON 或 YAML):
+// {
+//   "columns": {
+//     "VISIT_ID": { "name": "visit_id", "required": true, "nullable": false },
+//     "年龄": { "name": "age", "type": "int" },
+//     "就诊日期": { "name": "visit_date", "type": "date", "format": ["DD/MM/YYYY", "YYYY年M月D日"] },
+//     "挂号时间": { "type": "datetime", "format": "YYYY/MM/DD HH:mm:ss", "timezone": "Asia/Shanghai" },
+//     "性别": { "name": "gender", "type": "enum", "values": ["男", "女"] },
+//     "付费类别": { "default": "自费" }
+//   },
+//   "additionalColumns": true,
+//   "onInvalid": "drop",
+//   "timezone": "+08:00"
+// }
+// date 只在取值中有不为 00:00:00 的时间时保留时间，datetime 总是带时间；timezone 为源时区，列上的设置优先
+
+const columnTypes = ['string', 'int', 'decimal', 'date', 'datetime', 'boolean', 'enum'];
+const invalidPolicies = ['drop', 'keep']; // keep: 保留记录，无效取值置为 null
+
+const trueValues = ['true', '1', 'yes', 'y', 't', '是'];
+const falseValues = ['false', '0', 'no', 'n', 'f', '否'];
+
+class SchemaError extends Error {
+    constructor(message) {
+        super(`列定义文件错误: ${message}`);
+        this.name = 'SchemaError';
+    }
+}
+
+// 读取 JSON 或 YAML 格式的列定义文件
+function loadSchema(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    try {
+        return ext === '.yaml' || ext === '.yml' ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+        throw new SchemaError(`${path.basename(filePath)}: ${error.message}`);
+    }
+}
+
+// 各类型的取值转换，返回 { value } 或 { error }
+const converters = {
+    string: value => ({ value }),
+    int: value => (/^[-+]?\d+$/.test(value)
+        ? { value: parseInt(value, 10) }
+        : { error: '不是整数' }),
+    decimal: value => {
+        const normalized = value.replace(/,/g, '');
+        return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(normalized)
+            ? { value: Number(normalized) }
+            : { error: '不是数字' };
+    },
+    boolean: value => {
+        const lower = value.toLowerCase();
+        if (trueValues.includes(lower)) return { value: true };
+        if (falseValues.includes(lower)) return { value: false };
+        return { error: '不是布尔值' };
+    },
+    date: (value, column) => {
+        const date = parseDate(value, column.format, column.timezone);
+        if (!date) return { error: `不符合日期格式 ${[].concat(column.format || '默认格式').join(' | ')}` };
+        // 时间为 00:00:00 时只保留日期
+        const { hour, minute, second } = dateToParts(date);
+        date.hasTime = date.hasTime && (hour !== 0 || minute !== 0 || second !== 0);
+        return { value: date };
+    },
+    datetime: (value, column) => {
+        const result = converters.date(value, column);
+        if (result.value) result.value.hasTime = true;
+        return result;
+    },
+    enum: (value, column) => (column.values.includes(value)
+        ? { value }
+        : { error: `不在可选值 ${column.values.join(', ')} 中` })
+};
+
+// 校验列定义本身
+function validateSchema(schema) {
+    if (!schema || typeof schema !== 'object' || !schema.columns || typeof schema.columns !== 'object') {
+        throw new SchemaError('缺少 columns 定义');
+    }
+    if (schema.onInvalid && !invalidPolicies.includes(schema.onInvalid)) {
+        throw new SchemaError(`onInvalid 只能为 ${invalidPolicies.join(' | ')}`);
+    }
+
+    Object.entries(schema.columns).forEach(([source, column]) => {
+        const type = column.type || 'string';
+        if (!columnTypes.includes(type)) {
+            throw new SchemaError(`列 ${source} 的类型 ${type} 无效，可选: ${columnTypes.join(', ')}`);
+        }
+        if (type === 'enum' && !Array.isArray(column.values)) {
+            throw new SchemaError(`列 ${source} 为 enum 类型，需要提供 values 列表`);
+        }
+        if (column.format !== undefined && ![].concat(column.format).every(format => typeof format === 'string' && format)) {
+            throw new SchemaError(`列 ${source} 的 format 应为日期格式串或格式串列表`);
+        }
+        checkTimezone(column.timezone, `列 ${source} 的 timezone`);
+    });
+    checkTimezone(schema.timezone, 'timezone');
+}
+
+function checkTimezone(timezone, field) {
+    try {
+        parseTimezone(timezone);
+    } catch (error) {
+        throw new SchemaError(`${field}: ${error.message}`);
+    }
+}
+
+// 编译列定义，返回逐条应用的转换器；defaults 为 { timezone, dateFormats }，
+// 用于列定义中没有指定源时区和日期格式的列
+function compileSchema(schema, defaults = {}) {
+    if (typeof schema === 'string') schema = loadSchema(schema);
+    if (schema && typeof schema.apply === 'function') return schema;
+    validateSchema(schema);
+
+    const timezone = parseTimezone(schema.timezone || defaults.timezone);
+    const columns = Object.entries(schema.columns).map(([source, column]) => ({
+        ...column,
+        source,
+        name: column.name || source,
+        type: column.type || 'string',
+        nullable: column.nullable !== false,
+        format: column.format || defaults.dateFormats,
+        timezone: column.timezone ? parseTimezone(column.timezone) : timezone
+    }));
+    const bySource = new Map(columns.map(column => [column.source, column]));
+    const additionalColumns = schema.additionalColumns !== false;
+    const onInvalid = schema.onInvalid || 'drop';
+
+    // 检查表头是否包含所有 required 列
+    function checkHeader(headers) {
+        const missing = columns
+            .filter(column => column.required && !headers.includes(column.source))
+            .map(column => column.source);
+        if (missing.length > 0) {
+            throw new Error(`缺少必需的列: ${missing.join(', ')}`);
+        }
+    }
+
+    // 转换单个取值
+    function convertValue(column, raw) {
+        let value = raw === undefined || raw === null ? '' : String(raw);
+        if (value === '' && column.default !== undefined) {
+            value = String(column.default);
+        }
+        if (value === '') {
+            return column.nullable ? { value: null } : { error: '不允许为空' };
+        }
+        return converters[column.type](value, column);
+    }
+
+    // 应用到一条记录，返回 { record, violations }；record 为 null 表示应丢弃
+    function apply(record, line) {
+        const output = {};
+        const violations = [];
+
+        Object.keys(record).forEach(key => {
+            if (!bySource.has(key) && additionalColumns) {
+                output[key] = record[key];
+            }
+        });
+
+        columns.forEach(column => {
+            const raw = record[column.source];
+            const { value, error } = convertValue(column, raw);
+            if (error) {
+                violations.push({ line, column: column.source, value: raw === undefined ? null : raw, message: error });
+                output[column.name] = null;
+            } else {
+                output[column.name] = value;
+            }
+        });
+
+        // 保持源文件列顺序，不在源文件中的列追加在末尾
+        const ordered = {};
+        Object.keys(record).forEach(key => {
+            const name = bySource.has(key) ? bySource.get(key).name : key;
+            if (name in output) ordered[name] = output[name];
+        });
+        Object.keys(output).forEach(name => {
+            if (!(name in ordered)) ordered[name] = output[name];
+        });
+
+        return {
+            record: violations.length > 0 && onInvalid === 'drop' ? null : ordered,
+            violations
+        };
+    }
+
+    return { columns, checkHeader, apply };
+}
+
+module.exports = {
+    SchemaError,
+    columnTypes,
+    loadSchema,
+    validateSchema,
+    compileSchema
+};
@@ -0,0 +1,212 @@
+// 非 CSV 的输入：XLSX 工作表和 JSON / NDJSON 文件，读出与 CSV 记录相同形式的对象
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { Readable } = require('stream');
+const iconv = require('iconv-lite');
+const ExcelJS = require('exceljs');
+const { resolveEncoding } = require('./encoding');
+const { readSample } = require('./stream');
+
+// 单元格地址 A1 转为 { row, column }
+function parseCellAddress(address) {
+    const match = /^([A-Z]{1,3})(\d+)$/i.exec(address.trim());
+    if (!match) return null;
+    const column = match[1].toUpperCase().split('').reduce((sum, char) => sum * 26 + char.charCodeAt(0) - 64, 0);
+    return { row: parseInt(match[2], 10), column };
+}
+
+// 解析 A2:F100 形式的区域
+function parseRange(range) {
+    const [start, end] = String(range).split(':');
+    const from = parseCellAddress(start || '');
+    const to = parseCellAddress(end || '');
+    if (!from || !to || from.row > to.row || from.column > to.column) {
+        throw new Error(`无效的区域: ${range}，格式应为 A1:F100`);
+    }
+    return { top: from.row, left: from.column, bottom: to.row, right: to.column };
+}
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// Excel 日期没有时区，读出的 Date 以 UTC 表示单元格中的年月日时分秒
+function formatExcelDate(date) {
+    const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    if (date.getUTCHours() === 0 && date.getUTCMinutes() === 0 && date.getUTCSeconds() === 0) return day;
+    return `${day} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+}
+
+// 单元格取值：公式取计算结果，富文本拼接为字符串，超链接取显示文本，空单元格为空字符串
+function cellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) return formatExcelDate(value);
+    if (typeof value === 'object') {
+        if ('result' in value) return cellValue(value.result);
+        if (value.richText) return value.richText.map(part => part.text).join('');
+        if ('text' in value) return cellValue(value.text);
+        if (value.error) return value.error;
+        if ('formula' in value || 'sharedFormula' in value) return '';
+    }
+    return value;
+}
+
+// 按名称或从 1 开始的序号查找工作表，缺省为第一个
+function findWorksheet(workbook, sheet) {
+    const worksheets = workbook.worksheets;
+    if (worksheets.length === 0) throw new Error('工作簿中没有工作表');
+    if (sheet === undefined || sheet === null || sheet === '') return worksheets[0];
+
+    const found = /^\d+$/.test(String(sheet))
+        ? worksheets[parseInt(sheet, 10) - 1]
+        : worksheets.find(worksheet => worksheet.name === String(sheet));
+    if (!found) {
+        throw new Error(`工作表不存在: ${sheet}，可选: ${worksheets.map(worksheet => worksheet.name).join(', ')}`);
+    }
+    return found;
+}
+
+// 表头为空时使用 columnN，重复时追加 _2、_3 ...
+function uniqueColumns(names) {
+    const seen = new Set();
+    return names.map((name, index) => {
+        let column = String(name).trim() || `column${index + 1}`;
+        for (let n = 2; seen.has(column); n++) {
+            column = `${String(name).trim() || `column${index + 1}`}_${n}`;
+        }
+        seen.add(column);
+        return column;
+    });
+}
+
+/**
+ * 读取 XLSX 工作表中的记录。headerRow 为表头所在的行号（从 1 开始），0 表示没有表头；
+ * 缺省时为区域的第一行。工作簿整体读入内存。
+ */
+async function readXlsxRecords(filePath, opts = {}) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    const worksheet = findWorksheet(workbook, opts.sheet);
+
+    const bounds = opts.range
+        ? parseRange(opts.range)
+        : { top: 1, left: 1, bottom: worksheet.rowCount, right: worksheet.columnCount };
+    const headerRow = opts.headerRow === undefined || opts.headerRow === null
+        ? bounds.top
+        : Number(opts.headerRow);
+    if (!Number.isInteger(headerRow) || headerRow < 0 || (headerRow > 0 && (headerRow < bounds.top || headerRow > bounds.bottom))) {
+        throw new Error(`表头行 ${opts.headerRow} 不在区域 ${bounds.top}-${bounds.bottom} 行内`);
+    }
+
+    const rowValues = rowNumber => {
+        const row = worksheet.getRow(rowNumber);
+        const values = [];
+        for (let column = bounds.left; column <= bounds.right; column++) {
+            values.push(cellValue(row.getCell(column).value));
+        }
+        return values;
+    };
+
+    const width = bounds.right - bounds.left + 1;
+    const columns = headerRow > 0
+        ? uniqueColumns(rowValues(headerRow))
+        : Array.from({ length: width }, (_, index) => `column${index + 1}`);
+
+    const records = [];
+    for (let rowNumber = headerRow > 0 ? headerRow + 1 : bounds.top; rowNumber <= bounds.bottom; rowNumber++) {
+        const values = rowValues(rowNumber);
+        if (values.every(value => value === '')) continue; // 与 CSV 一样跳过空行
+        records.push(Object.fromEntries(columns.map((column, index) => [column, values[index]])));
+    }
+
+    return { records, columns, sheetName: worksheet.name };
+}
+
+// 展开嵌套对象和数组：{ a: { b: 1 }, c: [2, 3] } -> { 'a.b': 1, 'c.0': 2, 'c.1': 3 }
+function flattenRecord(value, prefix = '', output = {}) {
+    if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+        const entries = Object.entries(value);
+        if (entries.length === 0 && prefix) output[prefix] = '';
+        entries.forEach(([key, child]) => flattenRecord(child, prefix ? `${prefix}.${key}` : key, output));
+    } else if (prefix) {
+        output[prefix] = value;
+    }
+    return output;
+}
+
+// 逐行读取 NDJSON，跳过空行
+async function* iterateNdjson(filePath, encoding) {
+    const lines = readline.createInterface({
+        input: fs.createReadStream(filePath).pipe(iconv.decodeStream(encoding)),
+        crlfDelay: Infinity
+    });
+    let lineNumber = 0;
+    for await (const line of lines) {
+        lineNumber++;
+        if (line.trim() === '') continue;
+        try {
+            yield JSON.parse(line);
+        } catch (error) {
+            throw new Error(`第 ${lineNumber} 行不是有效的 JSON: ${error.message}`);
+        }
+    }
+}
+
+// 按出现顺序收集展开后的所有列
+function collectColumns(columns, record) {
+    Object.keys(record).forEach(key => columns.add(key));
+    return columns;
+}
+
+/**
+ * 打开 JSON 数组或 NDJSON 文件，返回展开后的记录和所有列。
+ * .ndjson / .jsonl 逐行读取两遍（第一遍收集列），其余文件整体解析，
+ * 解析失败且以 { 开头时按 NDJSON 处理。
+ */
+async function openJsonRecords(filePath, opts = {}) {
+    const encodingInfo = resolveEncoding(readSample(filePath), opts, filePath);
+    const { encoding } = encodingInfo;
+    const ext = path.extname(filePath).toLowerCase();
+
+    let format = ext === '.ndjson' || ext === '.jsonl' ? 'ndjson' : 'json';
+    let items = null;
+    if (format === 'json') {
+        const text = iconv.decode(fs.readFileSync(filePath), encoding);
+        try {
+            const parsed = JSON.parse(text);
+            items = Array.isArray(parsed) ? parsed : [parsed];
+        } catch (error) {
+            if (!text.trimStart().startsWith('{')) {
+                throw new Error(`无法解析 JSON: ${error.message}`);
+            }
+            format = 'ndjson';
+        }
+    }
+
+    if (items) {
+        const records = items.map(item => flattenRecord(item));
+        const columns = [...records.reduce(collectColumns, new Set())];
+        return { records: Readable.from(records), columns, format, encoding, encodingInfo };
+    }
+
+    const columns = new Set();
+    for await (const item of iterateNdjson(filePath, encoding)) {
+        collectColumns(columns, flattenRecord(item));
+    }
+    const records = Readable.from((async function* () {
+        for await (const item of iterateNdjson(filePath, encoding)) {
+            yield flattenRecord(item);
+        }
+    })());
+    return { records, columns: [...columns], format, encoding, encodingInfo };
+}
+
+module.exports = {
+    parseRange,
+    cellValue,
+    readXlsxRecords,
+    flattenRecord,
+    openJsonRecords
+};
@@ -0,0 +1,58 @@
+const fs = require('fs');
+const readline = require('readline');
+const { once } = require('events');
+const { DateValue } = require('./dates');
+
+// 记录暂存文件：每行一条 JSON 记录，日期写为 { "$date": 毫秒数, "$hasTime", "$offset" } 以便读回时还原。
+// 用于连接时的分区和合并工作簿时暂存各文件的记录
+
+function serializeRecord(record) {
+    return JSON.stringify(record, function replacer(key, value) {
+        const date = this[key];
+        if (!(date instanceof Date)) return value;
+        return date instanceof DateValue
+            ? { $date: date.getTime(), $hasTime: date.hasTime, $offset: date.offset }
+            : { $date: date.getTime() };
+    });
+}
+
+function parseRecord(line) {
+    return JSON.parse(line, (key, value) => {
+        if (!value || typeof value !== 'object' || typeof value.$date !== 'number') return value;
+        return '$hasTime' in value
+            ? new DateValue(value.$date, { hasTime: value.$hasTime, offset: value.$offset })
+            : new Date(value.$date);
+    });
+}
+
+// 把记录流写入暂存文件，返回记录数
+async function writeSpool(records, filePath) {
+    const stream = fs.createWriteStream(filePath, 'utf8');
+    let count = 0;
+    try {
+        for await (const record of records) {
+            count++;
+            if (!stream.write(`${serializeRecord(record)}\n`)) await once(stream, 'drain');
+        }
+    } finally {
+        await new Promise((resolve, reject) => {
+            stream.end(error => (error ? reject(error) : resolve()));
+        });
+    }
+    return count;
+}
+
+// 逐条读回暂存文件中的记录
+async function* readSpool(filePath) {
+    const lines = readline.createInterface({ input: fs.createReadStream(filePath, 'utf8'), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (line) yield parseRecord(line);
+    }
+}
+
+module.exports = {
+    serializeRecord,
+    parseRecord,
+    writeSpool,
+    readSpool
+};
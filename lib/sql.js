@@ -0,0 +1,184 @@
+const fs = require('fs');
+const { parseDateParts, formatDateParts, dateToParts } = require('./dates');
+const { writeAtomic } = require('./files');
+
+// 推断出的列类型，按从窄到宽排列；无法统一时为 TEXT
+const sqlTypes = ['BOOLEAN', 'INTEGER', 'REAL', 'DATE', 'TIMESTAMP', 'TEXT'];
+
+// 每条 INSERT 语句包含的记录数
+const DEFAULT_BATCH_SIZE = 500;
+
+// 单个取值的类型，空值返回 null；dateFormats 为识别日期时尝试的格式，缺省为常见格式
+function valueType(value, dateFormats) {
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'boolean') return 'BOOLEAN';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'INTEGER' : 'REAL';
+    if (value instanceof Date) return dateToParts(value).hasTime ? 'TIMESTAMP' : 'DATE';
+
+    const text = String(value).trim();
+    if (text === '') return null;
+    // 有前导零的编号（如 007）保留为文本
+    if (/^[-+]?(0|[1-9]\d*)$/.test(text) && Number.isSafeInteger(Number(text))) return 'INTEGER';
+    if (/^[-+]?(\d+\.\d*|\.\d+|\d+)(e[-+]?\d+)?$/i.test(text) && !/^[-+]?0\d/.test(text)) return 'REAL';
+    const parts = parseDateParts(text, dateFormats);
+    if (parts) return parts.hasTime ? 'TIMESTAMP' : 'DATE';
+    return 'TEXT';
+}
+
+// 合并两个类型：INTEGER 与 REAL 合并为 REAL，DATE 与 TIMESTAMP 合并为 TIMESTAMP，其余不同类型合并为 TEXT
+function widenType(current, next) {
+    if (current === null) return next;
+    if (next === null || current === next) return current;
+    const pair = [current, next].sort((a, b) => sqlTypes.indexOf(a) - sqlTypes.indexOf(b)).join(',');
+    if (pair === 'INTEGER,REAL') return 'REAL';
+    if (pair === 'DATE,TIMESTAMP') return 'TIMESTAMP';
+    return 'TEXT';
+}
+
+// 逐条接收记录，推断各列的 SQL 类型
+function createTypeInference({ dateFormats } = {}) {
+    const types = new Map();
+    return {
+        add(record) {
+            Object.entries(record).forEach(([column, value]) => {
+                types.set(column, widenType(types.has(column) ? types.get(column) : null, valueType(value, dateFormats)));
+            });
+        },
+        // 返回 { columns, types }；全部为空的列为 TEXT
+        result() {
+            const columns = [...types.keys()];
+            return {
+                columns,
+                types: Object.fromEntries(columns.map(column => [column, types.get(column) || 'TEXT']))
+            };
+        }
+    };
+}
+
+// 推断记录流的列和列类型
+async function inferSqlTypes(records, opts) {
+    const inference = createTypeInference(opts);
+    for await (const record of records) {
+        inference.add(record);
+    }
+    return inference.result();
+}
+
+function quoteIdentifier(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+function quoteString(text) {
+    return `'${String(text).replace(/'/g, '\'\'')}'`;
+}
+
+// 按列类型转换取值：空值为 null，日期统一为 YYYY-MM-DD [HH:mm:ss] 文本，布尔值为 1 / 0
+function normalizeValue(value, type, dateFormats) {
+    if (value === null || value === undefined) return null;
+    if (value instanceof Date) return formatDateParts(dateToParts(value));
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'number') return value;
+
+    const text = String(value);
+    if (text.trim() === '') return null;
+    if (type === 'INTEGER' || type === 'REAL') return Number(text.trim());
+    if (type === 'DATE' || type === 'TIMESTAMP') {
+        const parts = parseDateParts(text, dateFormats);
+        return parts ? formatDateParts({ ...parts, hasTime: type === 'TIMESTAMP' }) : text;
+    }
+    return text;
+}
+
+// 取值的 SQL 字面量
+function sqlLiteral(value, type, dateFormats) {
+    const normalized = normalizeValue(value, type, dateFormats);
+    if (normalized === null) return 'NULL';
+    if (typeof normalized === 'number') return type === 'TEXT' ? quoteString(normalized) : String(normalized);
+    return quoteString(normalized);
+}
+
+// CREATE TABLE 语句
+function createTableSql(table, columns, types) {
+    const definitions = columns.map(column => `    ${quoteIdentifier(column)} ${types[column] || 'TEXT'}`);
+    return `CREATE TABLE ${quoteIdentifier(table)} (\n${definitions.join(',\n')}\n);\n`;
+}
+
+// 将记录流写成 CREATE TABLE + INSERT 脚本（先写临时文件，完成后改名），返回记录数
+function writeSqlStream(records, outputPath, opts) {
+    return writeAtomic(outputPath, tempPath => writeSqlScript(records, tempPath, opts));
+}
+
+async function writeSqlScript(records, outputPath, opts) {
+    const { table, columns, types } = opts;
+    const batchSize = opts.batchSize || DEFAULT_BATCH_SIZE;
+    const insert = `INSERT INTO ${quoteIdentifier(table)} (${columns.map(quoteIdentifier).join(', ')}) VALUES\n`;
+    const output = fs.createWriteStream(outputPath, 'utf8');
+    const write = text => (output.write(text) ? null : new Promise(resolve => output.once('drain', resolve)));
+
+    let count = 0;
+    let batch = [];
+    const flushBatch = async () => {
+        if (batch.length === 0) return;
+        await write(`${insert}${batch.join(',\n')};\n`);
+        batch = [];
+    };
+
+    try {
+        await write(`${createTableSql(table, columns, types)}\nBEGIN;\n`);
+        for await (const record of records) {
+            batch.push(`    (${columns.map(column => sqlLiteral(record[column], types[column], opts.dateFormats)).join(', ')})`);
+            count++;
+            if (batch.length >= batchSize) await flushBatch();
+        }
+        await flushBatch();
+        await write('COMMIT;\n');
+    } finally {
+        await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+    }
+    return count;
+}
+
+let sqlJs = null;
+
+// 按需加载 sql.js（WebAssembly 版 SQLite，无需编译原生模块）
+function loadSqlJs() {
+    if (!sqlJs) sqlJs = require('sql.js')();
+    return sqlJs;
+}
+
+// 将记录流写入 SQLite 数据库文件，返回记录数；数据库在内存中构建，完成后一次写出
+async function writeSqliteStream(records, outputPath, opts) {
+    const { table, columns, types } = opts;
+    const SQL = await loadSqlJs();
+    const db = new SQL.Database();
+    let count = 0;
+    try {
+        db.run(createTableSql(table, columns, types));
+        db.run('BEGIN');
+        const statement = db.prepare(
+            `INSERT INTO ${quoteIdentifier(table)} VALUES (${columns.map(() => '?').join(', ')})`
+        );
+        for await (const record of records) {
+            statement.run(columns.map(column => normalizeValue(record[column], types[column], opts.dateFormats)));
+            count++;
+        }
+        statement.free();
+        db.run('COMMIT');
+        const data = Buffer.from(db.export());
+        await writeAtomic(outputPath, tempPath => fs.writeFileSync(tempPath, data));
+    } finally {
+        db.close();
+    }
+    return count;
+}
+
+module.exports = {
+    sqlTypes,
+    valueType,
+    createTypeInference,
+    inferSqlTypes,
+    quoteIdentifier,
+    createTableSql,
+    writeSqlStream,
+    writeSqliteStream
+};
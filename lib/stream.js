@@ -0,0 +1,375 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { once } = require('events');
+const { Readable, Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const iconv = require('iconv-lite');
+const { parse } = require('csv-parse');
+const { resolveEncoding } = require('./encoding');
+const { defaultCsvOptions, cleanRecord, isEmptyRecord } = require('./parse');
+const { compileWhere } = require('./where');
+const { compileSchema } = require('./schema');
+const { compileMask } = require('./mask');
+const { compileColumns } = require('./columns');
+const { compileDedup } = require('./dedup');
+const { sniffDialect, splitRows } = require('./dialect');
+const { writeAtomic } = require('./files');
+
+// 编码检测采样大小
+const SAMPLE_SIZE = 64 * 1024;
+
+// 每个文件最多保留的列定义违规明细条数
+const MAX_VIOLATIONS = 1000;
+
+// 按扩展名判断 gzip 压缩的输入，例如 a.csv.gz
+function isGzipPath(filePath) {
+    return /\.gz$/i.test(filePath);
+}
+
+// 读取文件开头的样本，截断到最后一个完整行，避免切断多字节字符；gzip 文件解压开头部分
+function readSample(filePath, size = SAMPLE_SIZE) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(size);
+        const bytesRead = fs.readSync(fd, buffer, 0, size, 0);
+        let sample = buffer.subarray(0, bytesRead);
+        if (isGzipPath(filePath)) {
+            sample = zlib.gunzipSync(sample, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).subarray(0, size);
+        }
+        return trimSample(sample, size);
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+function trimSample(sample, size = SAMPLE_SIZE) {
+    if (sample.length < size) return sample;
+    const lastNewline = sample.lastIndexOf(0x0A);
+    if (lastNewline <= 0) return sample;
+    // UTF-16LE 的换行为 0A 00
+    const end = sample[lastNewline + 1] === 0x00 ? lastNewline + 2 : lastNewline + 1;
+    return sample.subarray(0, end);
+}
+
+// 移除 NULL 字符
+function createTextCleaner() {
+    return new Transform({
+        decodeStrings: false,
+        transform(chunk, encoding, callback) {
+            callback(null, chunk.replace(/\u0000/g, ''));
+        }
+    });
+}
+
+function trimRaw(raw) {
+    return raw ? raw.replace(/\r?\n$/, '') : '';
+}
+
+// 合并 where 表达式与自定义过滤函数
+function buildPredicate(opts) {
+    const predicates = [opts.where && compileWhere(opts.where), opts.filter].filter(Boolean);
+    if (predicates.length === 0) return null;
+    return record => predicates.every(predicate => predicate(record));
+}
+
+// 根据样本确定方言，显式指定的选项优先于探测结果
+function resolveDialect(sampleText, opts) {
+    const sniffed = sniffDialect(sampleText);
+    const isAuto = value => value === undefined || value === null || value === 'auto';
+
+    const dialect = {
+        delimiter: isAuto(opts.delimiter) ? sniffed.delimiter : opts.delimiter,
+        quote: isAuto(opts.quote) ? sniffed.quote : opts.quote,
+        escape: isAuto(opts.escape) ? sniffed.escape : opts.escape,
+        header: isAuto(opts.header) ? sniffed.header : opts.header !== false && opts.header !== 'no',
+        lineEnding: sniffed.lineEnding,
+        confidence: sniffed.confidence,
+        sniffed: isAuto(opts.delimiter)
+    };
+
+    // 分隔符由用户指定时重新计算列数
+    dialect.fieldCount = dialect.delimiter === sniffed.delimiter
+        ? sniffed.fieldCount
+        : Math.max(1, ...splitRows(sampleText, dialect.delimiter, dialect.quote).map(row => row.length));
+    return dialect;
+}
+
+// 方言对应的 csv-parse 选项；没有表头时列名为 column1、column2 ...
+function dialectToCsvOptions(dialect) {
+    return {
+        delimiter: dialect.delimiter,
+        quote: dialect.quote,
+        escape: dialect.escape,
+        columns: dialect.header
+            ? true
+            : Array.from({ length: dialect.fieldCount }, (_, index) => `column${index + 1}`)
+    };
+}
+
+// 打开 CSV 记录流：采样检测编码、探测方言 -> iconv 解码流 -> csv-parse 流
+// stats 在读取过程中更新：read 为解析出的非空记录数，filtered 为被过滤条件排除的记录数，
+// skipped 为无法解析而跳过的行数，repaired 为列数不一致或取值被置空后仍保留的记录数，
+// invalid 为因违反列定义被丢弃的记录数，violations 为违规明细（最多 MAX_VIOLATIONS 条），
+// violationsByColumn 为各列违反列定义（如无法解析的日期）的取值数，
+// maskInvalid 为脱敏时无法分段或解析而置空的取值数，duplicates 为去重时删除的重复记录数
+// opts.onReject 接收每条被跳过、修复或丢弃的记录: { line, action, code, reason, raw }
+function openRecordStream(input, opts = {}) {
+    const isBuffer = Buffer.isBuffer(input);
+    const sample = isBuffer ? trimSample(input.subarray(0, SAMPLE_SIZE)) : readSample(input);
+    const encodingInfo = resolveEncoding(sample, opts, isBuffer ? null : input);
+    const { encoding } = encodingInfo;
+
+    if (!iconv.encodingExists(encoding)) {
+        throw new Error(`不支持的编码: ${encoding}`);
+    }
+
+    const dialect = resolveDialect(iconv.decode(sample, encoding), opts);
+    const predicate = buildPredicate(opts);
+    const schema = opts.schema ? compileSchema(opts.schema) : null;
+    const transform = opts.transform ? compileColumns(opts.transform) : null;
+    const mask = opts.mask ? compileMask(opts.mask) : null;
+    // 去重按列变换之后、脱敏之前的记录比较；被删除的重复记录见 dedup.removed
+    const dedup = opts.dedup ? compileDedup(opts.dedup).open(isBuffer ? '<buffer>' : input) : null;
+    const stats = { read: 0, filtered: 0, skipped: 0, repaired: 0, invalid: 0, violationCount: 0, violations: [], violationsByColumn: {}, maskInvalid: 0, duplicates: 0 };
+    const onReject = opts.onReject || (() => {});
+    // 脱敏时拒绝记录中不保留原始行；redactRejects 用于脱敏在之后才应用的场合
+    const rawText = raw => (mask || opts.redactRejects ? '' : trimRaw(raw));
+    let headerChecked = false;
+
+    const source = isBuffer ? Readable.from([input]) : fs.createReadStream(input);
+    const parser = parse({
+        ...defaultCsvOptions,
+        ...dialectToCsvOptions(dialect),
+        raw: true,
+        on_record: ({ record, raw }, context) => {
+            if (schema && !headerChecked) {
+                schema.checkHeader(context.columns.map(column => column.name));
+                headerChecked = true;
+            }
+            cleanRecord(record);
+            if (isEmptyRecord(record)) return null;
+            stats.read++;
+            if (predicate && !predicate(record)) {
+                stats.filtered++;
+                return null;
+            }
+
+            // relax_column_count 放行的列数不一致记录
+            const repairs = [];
+            if (context.error) {
+                repairs.push({ code: context.error.code, reason: context.error.message });
+            }
+
+            let output = record;
+            if (schema) {
+                const result = schema.apply(record, context.lines);
+                stats.violationCount += result.violations.length;
+                result.violations.forEach(({ column }) => {
+                    stats.violationsByColumn[column] = (stats.violationsByColumn[column] || 0) + 1;
+                });
+                result.violations
+                    .slice(0, MAX_VIOLATIONS - stats.violations.length)
+                    .forEach(violation => stats.violations.push(violation));
+                if (result.violations.length > 0) {
+                    const reason = result.violations
+                        .map(violation => `${violation.column}: ${violation.message}`)
+                        .join('; ');
+                    repairs.push({ code: 'SCHEMA_VIOLATION', reason });
+                }
+                output = result.record;
+            }
+            if (output && transform) {
+                output = transform.apply(output);
+            }
+            if (output && dedup && !dedup.check(output, context.lines)) {
+                stats.duplicates++;
+                return null;
+            }
+            if (output && mask) {
+                output = mask.apply(output, stats);
+            }
+
+            if (!output) {
+                stats.invalid++;
+                onReject({
+                    line: context.lines,
+                    action: 'dropped',
+                    code: repairs.map(repair => repair.code).join(','),
+                    reason: repairs.map(repair => repair.reason).join('; '),
+                    raw: rawText(raw)
+                });
+            } else if (repairs.length > 0) {
+                stats.repaired++;
+                onReject({
+                    line: context.lines,
+                    action: 'repaired',
+                    code: repairs.map(repair => repair.code).join(','),
+                    reason: repairs.map(repair => repair.reason).join('; '),
+                    raw: rawText(raw)
+                });
+            }
+            return output;
+        }
+    });
+
+    // skip_records_with_error 跳过的记录
+    parser.on('skip', error => {
+        stats.skipped++;
+        onReject({
+            line: error.lines,
+            action: 'skipped',
+            code: error.code,
+            reason: error.message,
+            raw: rawText(error.raw)
+        });
+    });
+
+    const decoder = iconv.decodeStream(encoding);
+    const cleaner = createTextCleaner();
+    const forwardError = error => parser.destroy(error);
+    source.on('error', forwardError);
+    decoder.on('error', forwardError);
+    let text = source;
+    if (!isBuffer && isGzipPath(input)) {
+        text = source.pipe(zlib.createGunzip());
+        text.on('error', forwardError);
+    }
+    text.pipe(decoder).pipe(cleaner).pipe(parser);
+
+    return { records: parser, encoding, encodingInfo, dialect, stats, dedup };
+}
+
+// 读取整个记录流到数组
+async function collectRecords(records) {
+    const result = [];
+    for await (const record of records) {
+        result.push(record);
+    }
+    return result;
+}
+
+// 将记录逐条序列化为 JSON 数组或 NDJSON；columnar 按列输出 { 列名: [取值...] }，需要在内存中保留全部取值
+function createJsonSerializer({ format = 'json', pretty = true } = {}) {
+    let count = 0;
+    const columns = new Map();
+    return new Transform({
+        writableObjectMode: true,
+        transform(record, encoding, callback) {
+            let text;
+            if (format === 'columnar') {
+                Object.keys(record).forEach(key => {
+                    // 之前的记录没有该列时补 null，保证各列长度一致
+                    if (!columns.has(key)) columns.set(key, new Array(count).fill(null));
+                });
+                columns.forEach((values, key) => values.push(key in record ? record[key] : null));
+                text = '';
+            } else if (format === 'ndjson') {
+                text = `${JSON.stringify(record)}\n`;
+            } else {
+                const body = pretty
+                    ? JSON.stringify(record, null, 2).replace(/^/gm, '  ')
+                    : JSON.stringify(record);
+                text = `${count === 0 ? '[' : ','}${pretty ? '\n' : ''}${body}`;
+            }
+            count++;
+            callback(null, text);
+        },
+        flush(callback) {
+            if (format === 'columnar') {
+                const body = [...columns].map(([key, values]) => `${JSON.stringify(key)}:${pretty ? ' ' : ''}${JSON.stringify(values)}`);
+                this.push(pretty ? `{\n${body.map(line => `  ${line}`).join(',\n')}\n}` : `{${body.join(',')}}`);
+            } else if (format !== 'ndjson') {
+                this.push(count === 0 ? '[]' : `${pretty ? '\n' : ''}]`);
+            }
+            callback();
+        }
+    });
+}
+
+// 经由 transforms 把记录流写入文件；出错时文件流可能还没打开，等它关闭后再抛出，使临时文件随后可以删除
+async function pipelineToFile(records, transforms, filePath, encoding) {
+    const output = fs.createWriteStream(filePath, encoding);
+    try {
+        await pipeline(records, ...transforms, output);
+    } catch (error) {
+        if (!output.closed) await once(output, 'close');
+        throw error;
+    }
+}
+
+// 将记录流写入 JSON/NDJSON 文件（先写临时文件，完成后改名），返回记录数
+async function writeJsonStream(records, outputPath, opts = {}) {
+    let count = 0;
+    const counter = new Transform({
+        objectMode: true,
+        transform(record, encoding, callback) {
+            count++;
+            callback(null, record);
+        }
+    });
+    await writeAtomic(outputPath, tempPath => pipelineToFile(records, [counter, createJsonSerializer(opts)], tempPath, 'utf8'));
+    return count;
+}
+
+// 格式化一个 CSV 字段：包含分隔符、引号、换行或首尾空白时加引号
+function formatCsvField(value, delimiter, quote) {
+    if (value === null || value === undefined) return '';
+    let text;
+    if (value instanceof Date) text = value.toJSON(); // 解析得到的日期为 ISO 8601，保留源时区
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    else text = String(value);
+
+    if (text.includes(delimiter) || text.includes(quote) || /[\r\n]/.test(text) || text !== text.trim()) {
+        return `${quote}${text.split(quote).join(quote + quote)}${quote}`;
+    }
+    return text;
+}
+
+// 记录对象转为 CSV 文本的 Transform 流，按 columns 的顺序输出字段
+function createCsvSerializer({ columns, delimiter = ',', quote = '"', lineEnding = '\r\n', header = true } = {}) {
+    const formatRow = values => values.map(value => formatCsvField(value, delimiter, quote)).join(delimiter) + lineEnding;
+    return new Transform({
+        writableObjectMode: true,
+        encoding: 'utf8', // 输出字符串，交给 iconv 编码
+        construct(callback) {
+            if (header) this.push(formatRow(columns));
+            callback();
+        },
+        transform(record, encoding, callback) {
+            callback(null, formatRow(columns.map(column => record[column])));
+        }
+    });
+}
+
+// 将记录流写入 CSV 文件（先写临时文件，完成后改名），按 opts.encoding 编码输出，返回记录数
+async function writeCsvStream(records, outputPath, opts = {}) {
+    const { bom = false } = opts;
+    let count = 0;
+    const counter = new Transform({
+        objectMode: true,
+        transform(record, encoding, callback) {
+            count++;
+            callback(null, record);
+        }
+    });
+    await writeAtomic(outputPath, tempPath => pipelineToFile(records, [
+        counter,
+        createCsvSerializer(opts),
+        iconv.encodeStream(opts.encoding || 'utf8', { addBOM: bom })
+    ], tempPath));
+    return count;
+}
+
+module.exports = {
+    SAMPLE_SIZE,
+    MAX_VIOLATIONS,
+    readSample,
+    resolveDialect,
+    openRecordStream,
+    collectRecords,
+    createJsonSerializer,
+    writeJsonStream,
+    formatCsvField,
+    createCsvSerializer,
+    writeCsvStream
+};
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { compileWhere } = require('./where');
+
+// 样式文件示例 (JSON 或 YAML):
+// {
+//   "header": { "bold": true, "color": "FFFFFF", "fill": "4472C4" },
+//   "freeze": true,
+//   "autoFilter": true,
+//   "dateFormat": "yyyy-mm-dd",
+//   "dateTimeFormat": "yyyy-mm-dd hh:mm:ss",
+//   "columns": {
+//     "费用": { "numFmt": "#,##0.00" },
+//     "就诊日期": { "numFmt": "yyyy-mm-dd hh:mm", "width": 18 }
+//   },
+//   "highlight": [
+//     { "where": "年龄 >= 80", "fill": "FFC7CE", "color": "9C0006", "columns": ["年龄"] }
+//   ]
+// }
+
+// 未指定样式文件时的默认样式
+const defaultStyle = {
+    header: { bold: true, fill: 'D9E1F2' },
+    freeze: true,
+    autoFilter: true,
+    dateFormat: 'yyyy-mm-dd',
+    dateTimeFormat: 'yyyy-mm-dd hh:mm:ss', // 含时间的日期
+    columns: {},
+    highlight: []
+};
+
+class StyleError extends Error {
+    constructor(message) {
+        super(`样式文件错误: ${message}`);
+        this.name = 'StyleError';
+    }
+}
+
+// 读取 JSON 或 YAML 格式的样式文件
+function loadStyle(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    const ext = path.extname(filePath).toLowerCase();
+    try {
+        return ext === '.yaml' || ext === '.yml' ? YAML.parse(text) : JSON.parse(text);
+    } catch (error) {
+        throw new StyleError(`${path.basename(filePath)}: ${error.message}`);
+    }
+}
+
+// 颜色写法 RRGGBB、#RRGGBB 或 AARRGGBB 统一为 ARGB
+function toArgb(color, field) {
+    const hex = String(color).replace(/^#/, '').toUpperCase();
+    if (/^[0-9A-F]{6}$/.test(hex)) return `FF${hex}`;
+    if (/^[0-9A-F]{8}$/.test(hex)) return hex;
+    throw new StyleError(`${field} 的颜色 ${color} 无效，应为 RRGGBB`);
+}
+
+// { bold, color, fill } 转为单元格的 font 和 fill
+function cellStyle(spec, field) {
+    const style = {};
+    if (spec.bold || spec.color) {
+        style.font = { bold: !!spec.bold };
+        if (spec.color) style.font.color = { argb: toArgb(spec.color, field) };
+    }
+    if (spec.fill) {
+        style.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: toArgb(spec.fill, field) } };
+    }
+    return style;
+}
+
+// 编译样式，返回写入工作表时使用的设置；style 为 false 时不添加任何格式
+function compileStyle(style) {
+    if (typeof style === 'string') style = loadStyle(style);
+    if (style && typeof style.highlights === 'function') return style;
+    if (style === false) {
+        style = {
+            header: false,
+            freeze: false,
+            autoFilter: false,
+            dateFormat: defaultStyle.dateFormat,
+            dateTimeFormat: defaultStyle.dateTimeFormat
+        };
+    }
+    if (style !== undefined && style !== null && typeof style !== 'object') {
+        throw new StyleError('内容应为对象');
+    }
+    const spec = { ...defaultStyle, ...(style || {}) };
+
+    if (typeof spec.columns !== 'object' || Array.isArray(spec.columns)) {
+        throw new StyleError('columns 应为以列名为键的对象');
+    }
+    if (!Array.isArray(spec.highlight)) {
+        throw new StyleError('highlight 应为规则列表');
+    }
+
+    const columns = {};
+    Object.entries(spec.columns).forEach(([name, column]) => {
+        if (column.width !== undefined && !(Number(column.width) > 0)) {
+            throw new StyleError(`列 ${name} 的宽度 ${column.width} 无效`);
+        }
+        columns[name] = {
+            numFmt: column.numFmt || null,
+            width: column.width ? Number(column.width) : null
+        };
+    });
+
+    const rules = spec.highlight.map((rule, index) => {
+        if (!rule || !rule.where) {
+            throw new StyleError(`highlight[${index}] 缺少 where 条件`);
+        }
+        let test;
+        try {
+            test = compileWhere(rule.where);
+        } catch (error) {
+            throw new StyleError(`highlight[${index}]: ${error.message}`);
+        }
+        return {
+            test,
+            style: cellStyle(rule, `highlight[${index}]`),
+            columns: rule.columns ? [].concat(rule.columns) : null // 缺省时整行
+        };
+    });
+
+    return {
+        header: spec.header ? cellStyle(spec.header === true ? defaultStyle.header : spec.header, 'header') : null,
+        freeze: !!spec.freeze,
+        autoFilter: !!spec.autoFilter,
+        dateFormat: spec.dateFormat || defaultStyle.dateFormat,
+        dateTimeFormat: spec.dateTimeFormat || defaultStyle.dateTimeFormat,
+        columns,
+        // 返回记录命中的高亮规则
+        highlights: record => rules.filter(rule => rule.test(record))
+    };
+}
+
+module.exports = {
+    StyleError,
+    defaultStyle,
+    loadStyle,
+    compileStyle
+};
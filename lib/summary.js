@@ -0,0 +1,245 @@
+const fs = require('fs');
+const { toNumber } = require('./where');
+const { splitList } = require('./columns');
+const { formatDateParts, dateToParts } = require('./dates');
+
+// 汇总与交叉表：按分组列对输出的记录计算聚合值，例如
+//   --summary-by 就诊科室 --summarize "count, patients = count_distinct(PATIENT_ID), avg(年龄)"
+//   --summary-by 就诊科室 --pivot visit_month --summarize count
+// 列名为最终输出的列名（列定义、列变换、脱敏之后）
+
+// 汇总在 XLSX 中的工作表名称
+const SUMMARY_SHEET = '汇总';
+
+// 交叉表中空的分列取值
+const EMPTY_LABEL = '(空)';
+
+// 交叉表的列名
+function columnLabel(value) {
+    if (isMissing(value)) return EMPTY_LABEL;
+    return value instanceof Date ? formatDateParts(dateToParts(value)) : String(value);
+}
+
+const collator = new Intl.Collator('zh', { numeric: true });
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// 用于分组和去重的键，日期按时间比较
+function valueKey(value) {
+    if (isMissing(value)) return '';
+    return value instanceof Date ? value.toISOString() : String(value);
+}
+
+// 数字优先按数值比较，日期按时间，其余按字符串（数字部分按数值）
+function compareValues(a, b) {
+    const x = toNumber(a);
+    const y = toNumber(b);
+    if (x !== null && y !== null) return x - y;
+    if (a instanceof Date && b instanceof Date) return a - b;
+    return collator.compare(valueKey(a), valueKey(b));
+}
+
+// 去掉浮点运算的尾差，例如 0.1 + 0.2
+function tidy(number) {
+    return Number(number.toPrecision(15));
+}
+
+// 聚合函数，每个返回 { add(value), result() }；除不带列的 count 外，空值不参与计算，
+// sum、avg 忽略不是数字的取值
+const aggregators = {
+    count: () => {
+        let count = 0;
+        return { add: () => { count++; }, result: () => count };
+    },
+    count_distinct: () => {
+        const seen = new Set();
+        return { add: value => { seen.add(valueKey(value)); }, result: () => seen.size };
+    },
+    sum: () => {
+        let total = 0;
+        let count = 0;
+        return {
+            add: value => {
+                const number = toNumber(value);
+                if (number === null) return;
+                total += number;
+                count++;
+            },
+            result: () => (count > 0 ? tidy(total) : null)
+        };
+    },
+    avg: () => {
+        const sum = aggregators.sum();
+        let count = 0;
+        return {
+            add: value => {
+                if (toNumber(value) !== null) count++;
+                sum.add(value);
+            },
+            result: () => (count > 0 ? tidy(sum.result() / count) : null)
+        };
+    },
+    min: () => extreme(-1),
+    max: () => extreme(1)
+};
+
+function extreme(sign) {
+    let found;
+    return {
+        add: value => {
+            if (found === undefined || Math.sign(compareValues(value, found)) === sign) found = value;
+        },
+        result: () => {
+            if (found === undefined) return null;
+            // 数字字符串输出为数字，有前导零的编号除外
+            const number = typeof found === 'string' && !/^\s*-?0\d/.test(found) ? toNumber(found) : null;
+            return number === null ? found : number;
+        }
+    };
+}
+
+// 解析 "[名称 =] 函数(列)"，count 可以不带列；缺省名称为 count 或 函数(列)
+function parseAggregate(text) {
+    const match = String(text).match(/^\s*(?:([^=()]+?)\s*=\s*)?([A-Za-z_]+)\s*(?:\(\s*([^)]*?)\s*\))?\s*$/);
+    if (!match) {
+        throw new Error(`无效的聚合: ${text}，应为 函数(列)，例如 count_distinct(PATIENT_ID)`);
+    }
+    const fn = match[2].toLowerCase();
+    if (!aggregators[fn]) {
+        throw new Error(`未知的聚合函数: ${match[2]}，可选: ${Object.keys(aggregators).join(', ')}`);
+    }
+    const column = match[3] && match[3] !== '*' ? match[3].replace(/^`|`$/g, '') : null;
+    if (!column && fn !== 'count') {
+        throw new Error(`聚合函数 ${fn} 需要指定列`);
+    }
+    const name = match[1] || (column ? `${fn}(${column})` : fn);
+    return { name, fn, column };
+}
+
+/**
+ * 编译汇总定义 { by, aggregates, pivot }：by 为分组列，aggregates 为聚合列表（缺省为 count），
+ * pivot 为交叉表的分列。返回 { by, pivot, aggregates, create() }，create() 为每个文件创建
+ * 累加器 { add(record), rows(), result(), size() }，size 为组数。
+ */
+function compileSummary(spec) {
+    if (!spec) return null;
+    if (typeof spec.create === 'function') return spec;
+
+    const by = splitList(spec.by);
+    const pivot = spec.pivot || null;
+    const items = Array.isArray(spec.aggregates) ? spec.aggregates : [spec.aggregates].filter(Boolean);
+    const aggregates = (items.length > 0 ? splitList(items) : ['count'])
+        .map(item => (typeof item === 'string' ? parseAggregate(item) : item));
+    const names = aggregates.map(aggregate => aggregate.name);
+    const duplicate = [...by, ...names].find((name, index, all) => all.indexOf(name) !== index);
+    if (duplicate) throw new Error(`汇总列名重复: ${duplicate}`);
+    if (pivot && by.includes(pivot)) throw new Error(`交叉表的分列 ${pivot} 不能同时是分组列`);
+
+    function create() {
+        const groups = new Map(); // 键 -> { values, cells: Map<分列取值, { value, aggregators }> }
+        let records = 0;
+        let checked = false;
+
+        function add(record) {
+            if (!checked) {
+                const columns = [...by, pivot, ...aggregates.map(aggregate => aggregate.column)].filter(Boolean);
+                columns.filter(column => !(column in record)).forEach(column => {
+                    throw new Error(`汇总引用的列 ${column} 不存在`);
+                });
+                checked = true;
+            }
+            records++;
+            const values = by.map(column => record[column]);
+            const key = JSON.stringify(values.map(valueKey));
+            if (!groups.has(key)) groups.set(key, { values, cells: new Map() });
+            const { cells } = groups.get(key);
+
+            const cellValue = pivot ? record[pivot] : null;
+            const cellKey = valueKey(cellValue);
+            if (!cells.has(cellKey)) {
+                cells.set(cellKey, { value: cellValue, aggregators: aggregates.map(aggregate => aggregators[aggregate.fn]()) });
+            }
+            cells.get(cellKey).aggregators.forEach((aggregator, index) => {
+                const { column } = aggregates[index];
+                if (!column) aggregator.add();
+                else if (!isMissing(record[column])) aggregator.add(record[column]);
+            });
+        }
+
+        function compareGroups(a, b) {
+            for (let i = 0; i < by.length; i++) {
+                const order = compareValues(a.values[i], b.values[i]);
+                if (order !== 0) return order;
+            }
+            return 0;
+        }
+
+        // 汇总结果，每组一行；交叉表时分列的每个取值一列（有多个聚合时为 "取值 聚合名称"）
+        function rows() {
+            const sorted = [...groups.values()].sort(compareGroups);
+            const base = group => Object.fromEntries(by.map((column, index) => [column, isMissing(group.values[index]) ? null : group.values[index]]));
+            if (!pivot) {
+                return sorted.map(group => {
+                    const row = base(group);
+                    group.cells.forEach(cell => cell.aggregators.forEach((aggregator, index) => {
+                        row[names[index]] = aggregator.result();
+                    }));
+                    return row;
+                });
+            }
+
+            const pivotValues = new Map();
+            sorted.forEach(group => group.cells.forEach((cell, key) => {
+                if (!pivotValues.has(key)) pivotValues.set(key, cell.value);
+            }));
+            const columns = [...pivotValues.entries()]
+                .sort((a, b) => compareValues(a[1], b[1]))
+                .map(([key, value]) => [key, columnLabel(value)]);
+            return sorted.map(group => {
+                const row = base(group);
+                columns.forEach(([key, label]) => {
+                    const cell = group.cells.get(key);
+                    aggregates.forEach((aggregate, index) => {
+                        const name = aggregates.length === 1 ? label : `${label} ${aggregate.name}`;
+                        const empty = aggregate.fn.startsWith('count') ? 0 : null;
+                        row[name] = cell ? cell.aggregators[index].result() : empty;
+                    });
+                });
+                return row;
+            });
+        }
+
+        function result() {
+            return { groupBy: by, pivot, aggregates, records, groups: groups.size, rows: rows() };
+        }
+
+        return { add, rows, result, size: () => groups.size };
+    }
+
+    return { by, pivot, aggregates, create };
+}
+
+// 记录流经过时累加到汇总
+async function* tapSummary(records, summary) {
+    for await (const record of records) {
+        summary.add(record);
+        yield record;
+    }
+}
+
+// 写出 JSON 汇总，info 为文件等附加信息
+function writeSummaryJson(filePath, summary, info = {}) {
+    fs.writeFileSync(filePath, JSON.stringify({ ...info, ...summary.result() }, null, 2), 'utf8');
+    return filePath;
+}
+
+module.exports = {
+    SUMMARY_SHEET,
+    aggregators,
+    parseAggregate,
+    compileSummary,
+    tapSummary,
+    writeSummaryJson
+};
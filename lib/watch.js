@@ -0,0 +1,91 @@
+const fs = require('fs');
+const { inputFilesFor } = require('./files');
+const { info } = require('./log');
+
+// 默认每 2 秒检查一次输入目录，文件大小和修改时间 5 秒内不变才视为写入完成
+const DEFAULT_INTERVAL = 2;
+const DEFAULT_STABLE_TIME = 5;
+
+/**
+ * 持续监视输入目录：新增或修改的文件在大小和修改时间稳定 stableTime 秒后交给 onReady(files) 处理，
+ * onReady 返回该批的统计。收到 SIGINT / SIGTERM 时处理完当前批次后退出，返回累计的统计。
+ */
+async function watchInput(options, onReady) {
+    const interval = (options.interval || DEFAULT_INTERVAL) * 1000;
+    const stableTime = (options.stableTime !== undefined ? options.stableTime : DEFAULT_STABLE_TIME) * 1000;
+    const seen = new Map(); // 文件 -> { signature, since, handled }
+    const totals = { success: 0, failed: 0, skipped: 0, total: 0, failedFiles: [] };
+
+    let stopping = false;
+    let timer = null;
+    let wake = null;
+    const stop = () => {
+        stopping = true;
+        clearTimeout(timer);
+        if (wake) wake();
+    };
+    process.once('SIGINT', stop);
+    process.once('SIGTERM', stop);
+
+    // 本次检查中已稳定、尚未处理的文件
+    function readyFiles() {
+        const now = Date.now();
+        const current = inputFilesFor(options);
+        [...seen.keys()].filter(file => !current.includes(file)).forEach(file => seen.delete(file));
+
+        return current.filter(file => {
+            let stat;
+            try {
+                stat = fs.statSync(file);
+            } catch (error) {
+                return false; // 列出后即被移走
+            }
+            const signature = `${stat.size}:${stat.mtimeMs}`;
+            const state = seen.get(file);
+            if (!state || state.signature !== signature) {
+                seen.set(file, { signature, since: now, handled: false });
+                return false;
+            }
+            if (state.handled || now - state.since < stableTime) return false;
+            state.handled = true;
+            return true;
+        });
+    }
+
+    info(`监视目录: ${options.input} (每 ${interval / 1000}s 检查一次，文件 ${stableTime / 1000}s 内不再变化后转换，Ctrl+C 退出)`);
+    try {
+        while (!stopping) {
+            try {
+                const ready = readyFiles();
+                if (ready.length > 0) {
+                    const results = await onReady(ready);
+                    ['success', 'failed', 'skipped', 'total'].forEach(key => {
+                        totals[key] += results[key];
+                    });
+                    totals.failedFiles.push(...results.failedFiles);
+                    info(`\n继续监视: ${options.input}`);
+                }
+            } catch (error) {
+                console.error('监视过程中发生错误:', error.message);
+            }
+            if (!stopping) {
+                await new Promise(resolve => {
+                    wake = resolve;
+                    timer = setTimeout(resolve, interval);
+                });
+            }
+        }
+    } finally {
+        process.removeListener('SIGINT', stop);
+        process.removeListener('SIGTERM', stop);
+    }
+
+    info(`\n停止监视，共处理 ${totals.total} 个文件: 成功 ${totals.success}，跳过 ${totals.skipped}，失败 ${totals.failed}`);
+    return totals;
+}
+
+module.exports = {
+    DEFAULT_INTERVAL,
+    DEFAULT_STABLE_TIME,
+    watchInput
+};
@@ -0,0 +1,336 @@
+const fs = require('fs');
+const { dateToParts } = require('./dates');
+
+// 过滤表达式，例如:
+//   性别 == '男' and 年龄 >= 60 and 就诊日期 between 2017-01-01 and 2017-12-31
+//   PATIENT_ID in @ids.txt or 就诊科室 ~ /外科$/
+//   not (付费类别 in ('自费', '城镇')) and 民族 is not null
+
+const keywords = ['and', 'or', 'not', 'between', 'in', 'is', 'null', 'empty', 'matches'];
+const comparisonOperators = ['==', '=', '!=', '<>', '>=', '<=', '>', '<'];
+
+class WhereSyntaxError extends Error {
+    constructor(message, position) {
+        super(`过滤表达式语法错误 (位置 ${position + 1}): ${message}`);
+        this.name = 'WhereSyntaxError';
+        this.position = position;
+    }
+}
+
+// 词法分析
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        const start = i;
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '(' || char === ')' || char === ',') {
+            tokens.push({ type: char, position: start });
+            i++;
+        } else if (char === '\'' || char === '"' || char === '`') {
+            let value = '';
+            i++;
+            while (i < text.length && text[i] !== char) {
+                if (text[i] === '\\' && i + 1 < text.length) i++;
+                value += text[i++];
+            }
+            if (i >= text.length) throw new WhereSyntaxError('字符串未闭合', start);
+            i++;
+            tokens.push({ type: char === '`' ? 'word' : 'string', value, quoted: true, position: start });
+        } else if (char === '/' && tokens.length > 0 && isRegexOperator(tokens[tokens.length - 1])) {
+            let source = '';
+            i++;
+            while (i < text.length && text[i] !== '/') {
+                if (text[i] === '\\' && i + 1 < text.length) source += text[i++];
+                source += text[i++];
+            }
+            if (i >= text.length) throw new WhereSyntaxError('正则表达式未闭合', start);
+            i++;
+            let flags = '';
+            while (i < text.length && /[a-z]/.test(text[i])) flags += text[i++];
+            tokens.push({ type: 'regex', value: source, flags, position: start });
+        } else if (char === '~') {
+            tokens.push({ type: 'op', value: '~', position: start });
+            i++;
+        } else if ('=!<>'.includes(char)) {
+            const two = text.slice(i, i + 2);
+            const op = comparisonOperators.includes(two) ? two : char;
+            if (!comparisonOperators.includes(op)) throw new WhereSyntaxError(`无效的运算符 ${op}`, start);
+            tokens.push({ type: 'op', value: op, position: start });
+            i += op.length;
+        } else if (char === '@') {
+            i++;
+            while (i < text.length && !/[\s()]/.test(text[i])) i++;
+            tokens.push({ type: 'file', value: text.slice(start + 1, i), position: start });
+        } else {
+            while (i < text.length && !/[\s()',"`=!<>~]/.test(text[i])) i++;
+            const value = text.slice(start, i);
+            const lower = value.toLowerCase();
+            tokens.push(keywords.includes(lower)
+                ? { type: 'keyword', value: lower, position: start }
+                : { type: 'word', value, position: start });
+        }
+    }
+
+    tokens.push({ type: 'end', position: text.length });
+    return tokens;
+}
+
+function isRegexOperator(token) {
+    return (token.type === 'op' && token.value === '~')
+        || (token.type === 'keyword' && token.value === 'matches');
+}
+
+// 从文件读取 in 列表，每行一个取值
+function loadListFile(filePath) {
+    return fs.readFileSync(filePath, 'utf8')
+        .split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(Boolean);
+}
+
+// 将字符串解析为数字，无法解析时返回 null
+function toNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || !/^\s*-?\d*\.?\d+(e[+-]?\d+)?\s*$/i.test(value)) return null;
+    return Number(value);
+}
+
+// 将字符串解析为日期，返回 { day, time, hasTime }；Date 按其源时区（未指定时为本地时间）的年月日时分秒比较
+function toDateParts(value) {
+    if (value instanceof Date) {
+        const { year, month, day, hour, minute, second } = dateToParts(value);
+        const dayValue = Date.UTC(year, month - 1, day);
+        return { day: dayValue, time: dayValue + (hour * 3600 + minute * 60 + second) * 1000, hasTime: true };
+    }
+    if (typeof value !== 'string') return null;
+    const match = value.trim().match(/^(\d{4})[-/.年](\d{1,2})[-/.月](\d{1,2})日?(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second] = match;
+    const dayValue = Date.UTC(+year, +month - 1, +day);
+    return {
+        day: dayValue,
+        time: dayValue + ((+hour || 0) * 3600 + (+minute || 0) * 60 + (+second || 0)) * 1000,
+        hasTime: hour !== undefined
+    };
+}
+
+function isMissing(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// 比较记录值与字面量：字面量为数字或日期时按数字或日期比较，记录值不是同类取值时无法比较，返回 NaN，
+// 使所有比较运算都不成立；其余按字符串比较
+function compare(recordValue, literal) {
+    const leftNumber = toNumber(recordValue);
+    const rightNumber = toNumber(literal);
+    if (leftNumber !== null && rightNumber !== null) {
+        return Math.sign(leftNumber - rightNumber);
+    }
+
+    const leftDate = toDateParts(recordValue);
+    const rightDate = toDateParts(literal);
+    if (leftDate && rightDate) {
+        // 字面量只有日期时按天比较，使 "between 2017-01-01 and 2017-12-31" 包含最后一天全天
+        const key = rightDate.hasTime ? 'time' : 'day';
+        return Math.sign(leftDate[key] - rightDate[key]);
+    }
+    if (rightNumber !== null || rightDate) return NaN;
+
+    const left = String(recordValue);
+    const right = String(literal);
+    return left === right ? 0 : (left < right ? -1 : 1);
+}
+
+function equals(recordValue, literal) {
+    if (isMissing(recordValue)) return false;
+    return String(recordValue) === String(literal) || compare(recordValue, literal) === 0;
+}
+
+// 语法分析，生成 (record) => boolean
+function parseExpression(tokens) {
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isKeyword = (value, token = peek()) => token.type === 'keyword' && token.value === value;
+
+    function expect(type, value) {
+        const token = next();
+        if (token.type !== type || (value !== undefined && token.value !== value)) {
+            throw new WhereSyntaxError(`此处应为 ${value || type}`, token.position);
+        }
+        return token;
+    }
+
+    function parseOr() {
+        let left = parseAnd();
+        while (isKeyword('or')) {
+            next();
+            const a = left;
+            const b = parseAnd();
+            left = record => a(record) || b(record);
+        }
+        return left;
+    }
+
+    function parseAnd() {
+        let left = parseNot();
+        while (isKeyword('and')) {
+            next();
+            const a = left;
+            const b = parseNot();
+            left = record => a(record) && b(record);
+        }
+        return left;
+    }
+
+    function parseNot() {
+        if (isKeyword('not')) {
+            next();
+            const inner = parseNot();
+            return record => !inner(record);
+        }
+        if (peek().type === '(') {
+            next();
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+        return parseComparison();
+    }
+
+    function parseValue() {
+        const token = next();
+        if (token.type === 'string' || token.type === 'word') return token.value;
+        throw new WhereSyntaxError('此处应为取值', token.position);
+    }
+
+    function parseList() {
+        if (peek().type === 'file') {
+            return loadListFile(next().value);
+        }
+        expect('(');
+        const values = [parseValue()];
+        while (peek().type === ',') {
+            next();
+            values.push(parseValue());
+        }
+        expect(')');
+        return values;
+    }
+
+    function parseRegex() {
+        const token = next();
+        // g、y 使 test 从上一条记录匹配结束的位置继续，逐条判断时结果不可靠
+        if (token.type === 'regex' && /[gy]/.test(token.flags)) {
+            throw new WhereSyntaxError(`正则表达式不支持 g、y 标志: /${token.value}/${token.flags}`, token.position);
+        }
+        try {
+            if (token.type === 'regex') return new RegExp(token.value, token.flags);
+            if (token.type === 'string') return new RegExp(token.value);
+        } catch (error) {
+            throw new WhereSyntaxError(`无效的正则表达式: ${error.message}`, token.position);
+        }
+        throw new WhereSyntaxError('此处应为正则表达式', token.position);
+    }
+
+    function parseComparison() {
+        const columnToken = next();
+        if (columnToken.type !== 'word') {
+            throw new WhereSyntaxError('此处应为列名', columnToken.position);
+        }
+        const column = columnToken.value;
+        const get = record => record[column];
+
+        let negate = false;
+        if (isKeyword('not')) {
+            next();
+            negate = true;
+            if (!isKeyword('in') && !isKeyword('between') && !isKeyword('matches')) {
+                throw new WhereSyntaxError('not 之后应为 in、between 或 matches', peek().position);
+            }
+        }
+        const wrap = predicate => (negate ? record => !predicate(record) : predicate);
+        const token = next();
+
+        if (token.type === 'op' && token.value === '~') {
+            const regex = parseRegex();
+            return record => !isMissing(get(record)) && regex.test(String(get(record)));
+        }
+
+        if (token.type === 'op') {
+            const literal = parseValue();
+            switch (token.value) {
+                case '=':
+                case '==': return record => equals(get(record), literal);
+                case '!=':
+                case '<>': return record => !equals(get(record), literal);
+                case '>': return record => !isMissing(get(record)) && compare(get(record), literal) > 0;
+                case '>=': return record => !isMissing(get(record)) && compare(get(record), literal) >= 0;
+                case '<': return record => !isMissing(get(record)) && compare(get(record), literal) < 0;
+                case '<=': return record => !isMissing(get(record)) && compare(get(record), literal) <= 0;
+            }
+        }
+
+        if (isKeyword('between', token)) {
+            const low = parseValue();
+            expect('keyword', 'and');
+            const high = parseValue();
+            return wrap(record => !isMissing(get(record))
+                && compare(get(record), low) >= 0
+                && compare(get(record), high) <= 0);
+        }
+
+        if (isKeyword('in', token)) {
+            const values = parseList();
+            return wrap(record => values.some(value => equals(get(record), value)));
+        }
+
+        if (isKeyword('matches', token)) {
+            const regex = parseRegex();
+            return wrap(record => !isMissing(get(record)) && regex.test(String(get(record))));
+        }
+
+        if (isKeyword('is', token)) {
+            let isNot = false;
+            if (isKeyword('not')) {
+                next();
+                isNot = true;
+            }
+            const kind = next();
+            if (!isKeyword('null', kind) && !isKeyword('empty', kind)) {
+                throw new WhereSyntaxError('is 之后应为 null 或 empty', kind.position);
+            }
+            return isNot
+                ? record => !isMissing(get(record))
+                : record => isMissing(get(record));
+        }
+
+        throw new WhereSyntaxError(`列 ${column} 之后应为比较运算符`, token.position);
+    }
+
+    const predicate = parseOr();
+    if (peek().type !== 'end') {
+        throw new WhereSyntaxError('表达式多余的内容', peek().position);
+    }
+    return predicate;
+}
+
+// 编译过滤表达式为判断函数
+function compileWhere(expression) {
+    if (typeof expression === 'function') return expression;
+    return parseExpression(tokenize(String(expression)));
+}
+
+module.exports = {
+    WhereSyntaxError,
+    compileWhere,
+    compare,
+    toNumber,
+    toDateParts
+};
@@ -0,0 +1,19 @@
+const { parentPort, workerData } = require('worker_threads');
+const { parseCommandLine } = require('./cli');
+const { captureConsole } = require('./pool');
+const { setLogLevel } = require('./log');
+
+// 工作线程：按主线程的命令行参数重新解析选项（编译后的过滤条件、列定义等无法跨线程传递），
+// 使用主线程的日志级别，逐个转换主线程分配的文件，连同控制台输出一起回传
+const { command, options } = parseCommandLine(workerData.argv);
+const { convert } = command.batch(options);
+setLogLevel(workerData.logLevel);
+
+parentPort.on('message', async ({ file, outputPath }) => {
+    const { value, error, lines } = await captureConsole(() => convert(file, outputPath, options));
+    parentPort.postMessage({
+        result: value,
+        error: error ? error.message : null,
+        lines
+    });
+});
@@ -0,0 +1,441 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { parseDate, dateToParts } = require('./dates');
+const { compileStyle } = require('./style');
+const { writeSpool, readSpool } = require('./spool');
+const { tempPathFor, writeAtomic } = require('./files');
+
+// Excel 单个工作表的最大行数（含表头）
+const MAX_SHEET_ROWS = 1048576;
+
+// Excel 工作表名称的长度上限和不允许的字符
+const MAX_SHEET_NAME_LENGTH = 31;
+const invalidSheetChars = /[\\/?*[\]:]/g;
+
+// 计算列宽时采样的行数
+const WIDTH_SAMPLE_ROWS = 100;
+const MAX_COLUMN_WIDTH = 50;
+
+// 尝试将字符串转换为数字或日期；日期按 dateFormats（缺省为常见格式）和源时区 timezone 解析，
+// 日月顺序不明确的写法（如 04/05/2017）需要通过 dateFormats 指定格式，否则保留为字符串
+function guessValueType(value, { dateFormats, timezone } = {}) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value !== 'string') return value;
+
+    if (/^-?\d*\.?\d+$/.test(value)) {
+        const num = Number(value);
+        if (!isNaN(num)) return num;
+    }
+
+    if (/^\s*\d/.test(value)) {
+        const date = parseDate(value, dateFormats, timezone);
+        if (date) return date;
+    }
+
+    return value;
+}
+
+// 转换记录中各字段的类型
+function typeRecord(record, opts) {
+    return Object.fromEntries(
+        Object.entries(record).map(([key, value]) => [key, guessValueType(value, opts)])
+    );
+}
+
+// 逐条转换记录流中各字段的类型
+async function* typeRecords(records, opts) {
+    for await (const record of records) {
+        yield typeRecord(record, opts);
+    }
+}
+
+// 字符的显示宽度：中日韩文字、全角符号和谚文占两个字符宽
+function charWidth(codePoint) {
+    if ((codePoint >= 0x1100 && codePoint <= 0x115F)
+        || (codePoint >= 0x2E80 && codePoint <= 0xA4CF)
+        || (codePoint >= 0xAC00 && codePoint <= 0xD7A3)
+        || (codePoint >= 0xF900 && codePoint <= 0xFAFF)
+        || (codePoint >= 0xFE30 && codePoint <= 0xFE4F)
+        || (codePoint >= 0xFF00 && codePoint <= 0xFF60)
+        || (codePoint >= 0xFFE0 && codePoint <= 0xFFE6)
+        || (codePoint >= 0x20000 && codePoint <= 0x3FFFD)) {
+        return 2;
+    }
+    return 1;
+}
+
+// 取值在单元格中的显示宽度，日期按数字格式的长度计算
+function displayWidth(value, numFmt) {
+    if (value === null || value === undefined) return 0;
+    if (value instanceof Date) return numFmt.length;
+    let width = 0;
+    for (const char of String(value)) {
+        width += charWidth(char.codePointAt(0));
+    }
+    return width;
+}
+
+// 根据表头和前 100 行计算列宽，样式文件中指定的宽度优先
+function computeColumnWidths(records, columns, style) {
+    return columns.map(key => {
+        const column = style.columns[key] || {};
+        if (column.width) return column.width;
+
+        let width = displayWidth(key);
+        records.slice(0, WIDTH_SAMPLE_ROWS).forEach(record => {
+            const value = record[key];
+            const numFmt = column.numFmt || (value instanceof Date ? dateFormatOf(value, style) : null);
+            width = Math.max(width, Math.min(displayWidth(value, numFmt), MAX_COLUMN_WIDTH));
+        });
+        return Math.min(width + 2, MAX_COLUMN_WIDTH); // 添加一些内边距，并限制最大宽度
+    });
+}
+
+// 按出现顺序收集记录中的所有列
+function columnsOf(records) {
+    const columns = new Set();
+    records.forEach(record => Object.keys(record).forEach(key => columns.add(key)));
+    return [...columns];
+}
+
+// Excel 日期没有时区，按源时区（未指定时为本地时间）的年月日时分秒写入日期序列号
+function toExcelDate(date) {
+    const { year, month, day, hour, minute, second } = dateToParts(date);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second, date.getMilliseconds()));
+}
+
+// 日期的数字格式：含时间时使用 dateTimeFormat
+function dateFormatOf(date, style) {
+    return dateToParts(date).hasTime ? style.dateTimeFormat : style.dateFormat;
+}
+
+// 添加工作表并写入表头，返回 { worksheet, columns, rows }
+function startSheet(workbook, name, columns, sample, style) {
+    const worksheet = workbook.addWorksheet(name, {
+        views: style.freeze ? [{ state: 'frozen', ySplit: 1 }] : []
+    });
+    const widths = computeColumnWidths(sample, columns, style);
+    worksheet.columns = columns.map((key, index) => ({ key, width: widths[index] }));
+
+    const header = worksheet.addRow(columns);
+    if (style.header) {
+        header.eachCell(cell => {
+            if (style.header.font) cell.font = style.header.font;
+            if (style.header.fill) cell.fill = style.header.fill;
+        });
+    }
+    header.commit();
+    return { worksheet, columns, rows: 0 };
+}
+
+// 写入一条记录，按列设置数字格式并应用命中的高亮规则
+function writeRow(sheet, record, style) {
+    const { worksheet, columns } = sheet;
+    const row = worksheet.addRow(columns.map(key => {
+        const value = record[key];
+        if (value === undefined || value === null) return null;
+        return value instanceof Date ? toExcelDate(value) : value;
+    }));
+
+    columns.forEach((key, index) => {
+        const column = style.columns[key];
+        const numFmt = (column && column.numFmt) || (record[key] instanceof Date ? dateFormatOf(record[key], style) : null);
+        if (numFmt) row.getCell(index + 1).numFmt = numFmt;
+    });
+
+    style.highlights(record).forEach(rule => {
+        const targets = rule.columns ? columns.filter(key => rule.columns.includes(key)) : columns;
+        targets.forEach(key => {
+            const cell = row.getCell(columns.indexOf(key) + 1);
+            if (rule.style.font) cell.font = rule.style.font;
+            if (rule.style.fill) cell.fill = rule.style.fill;
+        });
+    });
+
+    row.commit();
+    sheet.rows++;
+}
+
+// 结束工作表：在表头和数据区域上添加筛选
+function endSheet(sheet, style) {
+    const { worksheet, columns, rows } = sheet;
+    if (style.autoFilter && columns.length > 0) {
+        worksheet.autoFilter = {
+            from: { row: 1, column: 1 },
+            to: { row: rows + 1, column: columns.length }
+        };
+    }
+    if (typeof worksheet.commit === 'function') worksheet.commit();
+}
+
+// 把记录写成一个完整的工作表
+function addRecordsSheet(workbook, name, records, style) {
+    const sheet = startSheet(workbook, name, columnsOf(records), records, style);
+    records.forEach(record => writeRow(sheet, record, style));
+    endSheet(sheet, style);
+    return sheet.worksheet;
+}
+
+function createWorkbook(title) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.title = title || '';
+    workbook.created = new Date();
+    return workbook;
+}
+
+// 创建包含单个工作表的工作簿
+function buildWorkbook(records, { title, sheetName = 'Sheet1', guessTypes = true, style, dateFormats, timezone } = {}) {
+    const rows = guessTypes ? records.map(record => typeRecord(record, { dateFormats, timezone })) : records;
+    const workbook = createWorkbook(title);
+    addRecordsSheet(workbook, sheetName, rows, compileStyle(style));
+    return workbook;
+}
+
+// 第 n 个分卷文件的路径：data.xlsx, data_2.xlsx, data_3.xlsx ...
+function partPath(outputPath, index) {
+    if (index === 1) return outputPath;
+    const ext = path.extname(outputPath);
+    return `${outputPath.slice(0, -ext.length)}_${index}${ext}`;
+}
+
+// 逐条接收记录的 XLSX 写入器，超过行数上限时拆分为新工作表或新文件
+// 每个工作表先缓存前 100 行用于计算列宽，之后的记录直接写入临时文件，finish 时全部改名为输出文件，
+// 失败时由 discard 删除；
+// opts.extraSheets() 在结束时返回追加到最后一个工作簿的 [{ name, records }]，例如汇总；
+// guessTypes 时按 opts.dateFormats、opts.timezone 识别日期
+function createXlsxWriter(outputPath, opts = {}) {
+    const { title, split = 'sheets', guessTypes = true, dateFormats, timezone } = opts;
+    const style = compileStyle(opts.style);
+    const maxRows = opts.maxRows || MAX_SHEET_ROWS - 1; // 留出表头行
+
+    let workbook = null;
+    let sheet = null;
+    let pending = [];
+    let sheetRows = 0;
+    let sheetCount = 0;
+    let total = 0;
+    const files = [];
+
+    function openWorkbook() {
+        const filename = partPath(outputPath, files.length + 1);
+        workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: tempPathFor(filename), useStyles: true });
+        workbook.title = title || '';
+        workbook.created = new Date();
+        files.push(filename);
+    }
+
+    // 用缓存的记录确定列和列宽，开始新工作表
+    function flushPending() {
+        if (!workbook) openWorkbook();
+        sheetCount++;
+        sheet = startSheet(workbook, `Sheet${sheetCount}`, columnsOf(pending), pending, style);
+        pending.forEach(record => writeRow(sheet, record, style));
+        pending = [];
+    }
+
+    function closeSheet() {
+        if (pending.length > 0) flushPending();
+        if (!sheet) return;
+        endSheet(sheet, style);
+        sheet = null;
+        sheetRows = 0;
+    }
+
+    async function closeWorkbook() {
+        closeSheet();
+        if (!workbook) return;
+        await workbook.commit();
+        workbook = null;
+        sheetCount = 0;
+    }
+
+    return {
+        async add(record) {
+            const row = guessTypes ? typeRecord(record, { dateFormats, timezone }) : record;
+            total++;
+            sheetRows++;
+            if (sheet) {
+                writeRow(sheet, row, style);
+            } else {
+                pending.push(row);
+                if (pending.length >= WIDTH_SAMPLE_ROWS) flushPending();
+            }
+            if (sheetRows >= maxRows) {
+                if (split === 'files') await closeWorkbook();
+                else closeSheet();
+            }
+        },
+        async finish() {
+            closeSheet();
+            if (workbook && opts.extraSheets) {
+                const names = Array.from({ length: sheetCount }, (_, index) => `Sheet${index + 1}`);
+                opts.extraSheets().forEach(({ name, records }) => {
+                    const sheetName = uniqueSheetName(name, names);
+                    addRecordsSheet(workbook, sheetName, records, compileStyle());
+                    names.push(sheetName);
+                });
+            }
+            await closeWorkbook();
+            files.forEach(file => fs.renameSync(tempPathFor(file), file));
+            return { rows: total, files };
+        },
+        // 删除已写出的临时文件
+        discard() {
+            files.forEach(file => fs.rmSync(tempPathFor(file), { force: true }));
+        }
+    };
+}
+
+// 将记录流写入 XLSX 文件
+async function writeXlsxStream(records, outputPath, opts = {}) {
+    const writer = createXlsxWriter(outputPath, opts);
+    try {
+        for await (const record of records) {
+            await writer.add(record);
+        }
+        return await writer.finish();
+    } catch (error) {
+        writer.discard();
+        throw error;
+    }
+}
+
+// 按 Excel 规则生成工作表名称：替换非法字符、截断到 31 个字符，与已有名称（不区分大小写）重复时追加 (2)、(3) ...
+function uniqueSheetName(name, existing = []) {
+    let base = String(name || '')
+        .replace(invalidSheetChars, '_')
+        .replace(/^'+|'+$/g, '') // 不能以单引号开头或结尾
+        .trim() || 'Sheet';
+    if (base.toLowerCase() === 'history') base = `${base}_`; // Excel 保留名称
+
+    const taken = new Set(existing.map(sheetName => sheetName.toLowerCase()));
+    let candidate = base.slice(0, MAX_SHEET_NAME_LENGTH);
+    for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+        const suffix = ` (${n})`;
+        candidate = `${base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length)}${suffix}`;
+    }
+    return candidate;
+}
+
+// 依次写入 names 中的各个工作表，每个最多 maxRows 行；每个工作表先缓存前 100 行用于计算列宽
+async function writeRecordSheets(workbook, names, records, style, maxRows) {
+    let sheet = null;
+    let pending = [];
+    let sheetRows = 0;
+    let sheetIndex = 0;
+
+    function flushPending() {
+        sheet = startSheet(workbook, names[sheetIndex++], columnsOf(pending), pending, style);
+        pending.forEach(record => writeRow(sheet, record, style));
+        pending = [];
+    }
+
+    function closeSheet() {
+        if (pending.length > 0) flushPending();
+        if (sheet) endSheet(sheet, style);
+        sheet = null;
+        sheetRows = 0;
+    }
+
+    for await (const record of records) {
+        sheetRows++;
+        if (sheet) {
+            writeRow(sheet, record, style);
+        } else {
+            pending.push(record);
+            if (pending.length >= WIDTH_SAMPLE_ROWS) flushPending();
+        }
+        if (sheetRows >= maxRows) closeSheet();
+    }
+    closeSheet();
+}
+
+// 把多个记录流合并写入同一个工作簿，每个记录流占一个（超过行数上限时多个）以名称命名的工作表。
+// 读取时记录暂存到临时文件，finish 时以流的方式依次写出（索引工作表在最前面），内存占用与记录数无关
+function createMergedXlsxWriter(outputPath, opts = {}) {
+    const { title, guessTypes = true, indexSheet = false, dateFormats, timezone } = opts;
+    const style = compileStyle(opts.style);
+    const maxRows = opts.maxRows || MAX_SHEET_ROWS - 1;
+    const sheetNames = [];
+    const entries = [];
+    let spoolDir = null;
+    let spoolCount = 0;
+
+    // 删除暂存文件，包括读取后没有 commit 的
+    function discard() {
+        if (spoolDir) fs.rmSync(spoolDir, { recursive: true, force: true });
+        spoolDir = null;
+    }
+
+    // 依次写出索引工作表和各文件的工作表
+    async function writeMerged(filename) {
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename, useStyles: true });
+        workbook.title = title || '';
+        workbook.created = new Date();
+        if (indexSheet) {
+            const index = entries.map(entry => ({
+                '工作表': entry.sheets.join(', '),
+                '源文件': entry.file || '',
+                '记录数': entry.rows,
+                '编码': entry.encoding || ''
+            }));
+            const sheetName = uniqueSheetName('索引', sheetNames);
+            addRecordsSheet(workbook, sheetName, index, style);
+            sheetNames.unshift(sheetName);
+        }
+        for (const entry of entries) {
+            const records = readSpool(entry.spoolPath);
+            const rows = guessTypes ? typeRecords(records, { dateFormats, timezone }) : records;
+            await writeRecordSheets(workbook, entry.sheets, rows, style, maxRows);
+        }
+        await workbook.commit();
+    }
+
+    return {
+        // 读取一个记录流；返回的 commit(info) 调用后工作表才加入工作簿，便于校验失败时放弃
+        async read(name, records) {
+            if (!spoolDir) spoolDir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv2x-merge-'));
+            const spoolPath = path.join(spoolDir, `${++spoolCount}.ndjson`);
+            const rows = await writeSpool(records, spoolPath);
+
+            return {
+                rows,
+                commit(info = {}) {
+                    const chunks = Math.ceil(rows / maxRows);
+                    const names = Array.from({ length: chunks }, () => {
+                        const sheetName = uniqueSheetName(name, sheetNames);
+                        sheetNames.push(sheetName);
+                        return sheetName;
+                    });
+                    entries.push({ ...info, sheets: names, rows, spoolPath });
+                    return names;
+                }
+            };
+        },
+        // 写出工作簿（先写临时文件，完成后改名）；没有任何工作表时不生成文件
+        async finish() {
+            try {
+                if (sheetNames.length === 0) return { file: null, sheets: [], entries: [] };
+                await writeAtomic(outputPath, tempPath => writeMerged(tempPath));
+                return { file: outputPath, sheets: [...sheetNames], entries: entries.map(({ spoolPath, ...entry }) => entry) };
+            } finally {
+                discard();
+            }
+        },
+        discard
+    };
+}
+
+module.exports = {
+    MAX_SHEET_ROWS,
+    guessValueType,
+    displayWidth,
+    computeColumnWidths,
+    buildWorkbook,
+    createXlsxWriter,
+    writeXlsxStream,
+    uniqueSheetName,
+    createMergedXlsxWriter
+};
@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileColumns } = require('..');
+const { parseDate } = require('../lib/dates');
+
+test('计算列的日期函数按 --date-format 解析字符串', () => {
+    const compute = ['y = year(d)', 'm = month(d)', 'day = day(d)', 'only = date(d)'];
+    const record = { d: '04/05/2017 08:30' };
+    assert.deepStrictEqual(compileColumns({ compute, drop: 'd' }).apply(record), { y: null, m: null, day: null, only: null });
+    assert.deepStrictEqual(
+        compileColumns({ compute, drop: 'd', dateFormats: ['DD/MM/YYYY HH:mm'] }).apply(record),
+        { y: 2017, m: 5, day: 4, only: '2017-05-04' }
+    );
+});
+
+test('计算列的日期函数按 --timezone 取没有源时区的日期的年月日', () => {
+    const transform = compileColumns({ compute: ['only = date(d)'], select: 'only', timezone: 'Asia/Shanghai' });
+    assert.deepStrictEqual(transform.apply({ d: new Date('2017-05-04T20:00:00Z') }), { only: '2017-05-05' });
+    // 已带源时区的日期按其源时区
+    const zoned = parseDate('2017-05-04 20:00', ['YYYY-MM-DD HH:mm'], 'UTC');
+    assert.deepStrictEqual(transform.apply({ d: zoned }), { only: '2017-05-04' });
+});
@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { setLogLevel, info, verbose } = require('../lib/log');
+
+test('日志级别只影响 info、verbose，不替换 console.log', t => {
+    const original = console.log;
+    const lines = [];
+    t.mock.method(console, 'log', (...args) => lines.push(args.join(' ')));
+    const patched = console.log;
+    try {
+        setLogLevel('quiet');
+        assert.strictEqual(console.log, patched);
+        info('常规');
+        verbose('调试');
+        console.log('嵌入程序的输出');
+        setLogLevel('verbose');
+        info('常规');
+        verbose('调试');
+    } finally {
+        setLogLevel('normal');
+    }
+    assert.deepStrictEqual(lines, ['嵌入程序的输出', '常规', '调试']);
+    t.mock.restoreAll();
+    assert.strictEqual(console.log, original);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readCsv, nestRecord, nestRecords, groupRecords } = require('..');
+const { collectRecords } = require('../lib/stream');
+
+test('nestRecord 展开带点号的列名', () => {
+    assert.deepStrictEqual(
+        nestRecord({ 'address.city': '北京', 'tags.0': 'a', 'tags.1': 'b', constructor: 'x' }),
+        { address: { city: '北京' }, tags: ['a', 'b'], constructor: 'x' }
+    );
+});
+
+test('nestRecord 拒绝写入对象原型的列名', () => {
+    ['__proto__.polluted', 'constructor.prototype.polluted', 'a.__proto__'].forEach(key => {
+        assert.throws(() => nestRecord({ [key]: 'yes' }), /不允许的名称/);
+    });
+    assert.strictEqual({}.polluted, undefined);
+});
+
+test('--nest 时表头含 __proto__ 的 CSV 不会污染原型', async () => {
+    const { records } = await readCsv(Buffer.from('id,__proto__.polluted\n1,yes\n'));
+    await assert.rejects(collectRecords(nestRecords(records)), /不允许的名称 __proto__/);
+    assert.strictEqual({}.polluted, undefined);
+    assert.strictEqual(Object.prototype.polluted, undefined);
+});
+
+test('groupRecords 在键列不存在时报错', async () => {
+    const { records } = await readCsv(Buffer.from('id,name\n1,a\n2,b\n'));
+    await assert.rejects(collectRecords(groupRecords(records, { by: 'ID' })), /分组缺少列: ID/);
+});
+
+test('groupRecords 按键列分组', async () => {
+    const { records } = await readCsv(Buffer.from('id,name\n1,a\n2,b\n1,c\n'));
+    assert.deepStrictEqual(await collectRecords(groupRecords(records, { by: 'id' })), [
+        { id: '1', records: [{ name: 'a' }, { name: 'c' }] },
+        { id: '2', records: [{ name: 'b' }] }
+    ]);
+});
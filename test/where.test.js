@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { compileWhere } = require('..');
+
+test('数字比较', () => {
+    const where = compileWhere('年龄 >= 60');
+    assert.strictEqual(where({ 年龄: '65' }), true);
+    assert.strictEqual(where({ 年龄: '9' }), false);
+    assert.strictEqual(where({ 年龄: '' }), false);
+});
+
+test('记录值不是数字或日期时与数字、日期字面量的比较都不成立', () => {
+    ['年龄 >= 60', '年龄 < 60', '年龄 between 0 and 200', '年龄 == 60'].forEach(text => {
+        assert.strictEqual(compileWhere(text)({ 年龄: 'abc' }), false, text);
+    });
+    assert.strictEqual(compileWhere('就诊日期 >= 2017-01-01')({ 就诊日期: '未知' }), false);
+    assert.strictEqual(compileWhere('就诊日期 >= 2017-01-01')({ 就诊日期: '2017-03-01' }), true);
+    assert.strictEqual(compileWhere('年龄 <> 60')({ 年龄: 'abc' }), true);
+});
+
+test('字符串字面量按字符串比较', () => {
+    const where = compileWhere("科室 >= 'b'");
+    assert.strictEqual(where({ 科室: 'c' }), true);
+    assert.strictEqual(where({ 科室: 'a' }), false);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeJson, writeCsv, writeXlsx, writeSql } = require('..');
+
+// 输出两条记录后出错的记录流
+async function* failingRecords() {
+    yield { id: '1' };
+    yield { id: '2' };
+    throw new Error('读取失败');
+}
+
+const writers = {
+    'out.json': (records, outputPath) => writeJson(records, outputPath),
+    'out.csv': (records, outputPath) => writeCsv(records, outputPath, { columns: ['id'] }),
+    'out.xlsx': (records, outputPath) => writeXlsx(records, outputPath),
+    'out.sql': (records, outputPath) => writeSql(records, outputPath, { table: 't', columns: ['id'], types: { id: 'TEXT' } })
+};
+
+Object.entries(writers).forEach(([name, write]) => {
+    test(`写出 ${name} 失败时不留下不完整的文件，已有的输出保持不变`, async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'csv2x-test-'));
+        try {
+            const outputPath = path.join(dir, name);
+            await assert.rejects(write(failingRecords(), outputPath), /读取失败/);
+            assert.deepStrictEqual(fs.readdirSync(dir), []);
+
+            fs.writeFileSync(outputPath, 'old');
+            await assert.rejects(write(failingRecords(), outputPath), /读取失败/);
+            assert.deepStrictEqual(fs.readdirSync(dir), [name]);
+            assert.strictEqual(fs.readFileSync(outputPath, 'utf8'), 'old');
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});